@@ -1,14 +1,31 @@
 import os
 import secrets
 import io
+import base64
+import json
+import hashlib
+import subprocess
+import tempfile
+import threading
+import click
+from datetime import datetime, timedelta
+from functools import wraps
 from dotenv import load_dotenv
-from flask import Flask, render_template, request, redirect, url_for, flash, make_response, jsonify, Response
+from flask import Flask, render_template, request, redirect, url_for, flash, make_response, jsonify, Response, stream_with_context, send_from_directory, has_request_context, session
 from flask_sqlalchemy import SQLAlchemy
 from flask_login import LoginManager, UserMixin, login_user, login_required, logout_user, current_user
+from flask_sock import Sock
+from simple_websocket import ConnectionClosed
+from sqlalchemy import inspect, text
+from sqlalchemy.exc import DatabaseError, IntegrityError
 from werkzeug.security import generate_password_hash, check_password_hash
 from werkzeug.utils import secure_filename
 from openai import OpenAI
 from PIL import Image as PILImage  # ✅ Pillow for normalization
+from PIL import ImageDraw, ImageOps
+import pytesseract  # 🔎 local OCR (needs the tesseract binary installed)
+import fitz  # 📄 PyMuPDF, renders PDF pages
+from pptx import Presentation as PptxPresentation  # 🗒️ reads speaker notes from .pptx
 
 # ----------------------
 # Load .env
@@ -21,16 +38,43 @@ load_dotenv()
 app = Flask(__name__)
 app.config['SECRET_KEY'] = os.getenv("SECRET_KEY")
 app.config['SQLALCHEMY_DATABASE_URI'] = os.getenv("DATABASE_URL")
-app.config['MAX_CONTENT_LENGTH'] = 5 * 1024 * 1024  # 5MB limit
+app.config['MAX_CONTENT_LENGTH'] = 50 * 1024 * 1024  # 50MB limit, room for whole decks
+app.config['MAX_IMAGE_SIZE'] = 5 * 1024 * 1024  # 5MB limit per slide image
+
+# 📄 Deck import; .pptx goes through LibreOffice to PDF, then each page is rendered to an image
+app.config['SOFFICE_PATH'] = os.getenv("SOFFICE_PATH", "soffice")
+app.config['IMPORT_TIMEOUT'] = 120  # seconds LibreOffice gets to convert a deck
+app.config['IMPORT_DPI'] = 150
+app.config['IMPORT_MAX_PAGES'] = 300
+
+# 🖼️ Downscaled copies served by /image/<id>?size=..., longest side in pixels
+app.config['RENDITION_SIZES'] = {"thumb": 320, "medium": 1280}
+
+# 🤖 AI chat; OPENAI_BASE_URL can point at any OpenAI-compatible server (e.g. a local stand-in)
+app.config['OPENAI_BASE_URL'] = os.getenv("OPENAI_BASE_URL")
+app.config['OPENAI_MODEL'] = os.getenv("OPENAI_MODEL", "gpt-4o-mini")
+app.config['OPENAI_VISION_MODEL'] = os.getenv("OPENAI_VISION_MODEL", app.config['OPENAI_MODEL'])
+app.config['VISION_MAX_SIZE'] = 1568  # longest side of slide images sent to the model
+app.config['CHAT_HISTORY_LIMIT'] = 20  # earlier messages sent along with each question
 
 # 🔒 Cookie security
 app.config['SESSION_COOKIE_HTTPONLY'] = True
 app.config['SESSION_COOKIE_SECURE'] = True  # set True if using HTTPS
 app.config['SESSION_COOKIE_SAMESITE'] = "Strict"
 
+# 👥 Accounts
+app.config['INVITE_TTL'] = timedelta(days=7)  # how long an invite link can be used
+app.config['PASSWORD_MIN_LENGTH'] = 8
+app.config['DEVICE_SEEN_INTERVAL'] = timedelta(minutes=5)  # last-seen times are only written this often
+app.config['MAX_DEVICES'] = int(os.getenv("MAX_DEVICES", 3))  # trusted devices per account
+app.config['DEVICE_REQUEST_TTL'] = timedelta(hours=1)  # how long a new device waits for approval
+app.config['DEVICE_CODE_TTL'] = timedelta(minutes=15)  # how long a one-time code works
+app.config['DEVICE_CODE_ATTEMPTS'] = 5  # wrong codes before a device request is dropped
+
 db = SQLAlchemy(app)
 login_manager = LoginManager(app)
 login_manager.login_view = "login"
+sock = Sock(app)  # 🔌 WebSockets for live sessions, served by this same process
 
 # ----------------------
 # Models
@@ -40,23 +84,123 @@ class Login_Info(UserMixin, db.Model):
     id = db.Column(db.Integer, primary_key=True)
     email = db.Column(db.String(100), unique=True, nullable=False)
     password = db.Column(db.String(200), nullable=False)
-    device_token = db.Column(db.String(200), nullable=True)
+    device_token = db.Column(db.String(200), nullable=True)  # 🕰️ single device from before Device existed; moved there on next use
+    is_admin = db.Column(db.Boolean, nullable=False, default=False, server_default="0")
+    disabled = db.Column(db.Boolean, nullable=False, default=False, server_default="0")
+    invite_token_hash = db.Column(db.String(64), nullable=True)  # ✉️ set until the invited user picks a password
+    invite_expires_at = db.Column(db.DateTime, nullable=True)
+    device_code_hash = db.Column(db.String(64), nullable=True)  # 🔑 one-time code that approves a new device
+    device_code_expires_at = db.Column(db.DateTime, nullable=True)
+    created_at = db.Column(db.DateTime, nullable=True, default=datetime.utcnow)
+    shortcuts = db.Column(db.Text, nullable=True)  # ⌨️ JSON {command id: [keys]} for rebound shortcuts only
     images = db.relationship("Image", backref="user", lazy=True)
+    devices = db.relationship("Device", backref="user", lazy=True, cascade="all, delete-orphan", order_by="Device.created_at")
+
+    @property
+    def is_active(self):
+        # Flask-Login won't sign in inactive users
+        return not self.disabled
+
+class Device(db.Model):
+    __tablename__ = "device"
+    id = db.Column(db.Integer, primary_key=True)
+    user_id = db.Column(db.Integer, db.ForeignKey("login_info.id"), nullable=False)
+    token_hash = db.Column(db.String(64), unique=True, nullable=False)  # 🔒 sha256 of the device_token cookie
+    name = db.Column(db.String(200), nullable=False)  # browser and OS from the User-Agent, until the user renames it
+    trusted = db.Column(db.Boolean, nullable=False, default=True, server_default="1")  # False while waiting for approval
+    code_attempts = db.Column(db.Integer, nullable=False, default=0, server_default="0")  # wrong one-time codes tried
+    created_at = db.Column(db.DateTime, default=datetime.utcnow)
+    last_seen_at = db.Column(db.DateTime, nullable=True)
+    last_ip = db.Column(db.String(45), nullable=True)
+
+class AuditLog(db.Model):
+    __tablename__ = "audit_log"
+    id = db.Column(db.Integer, primary_key=True)
+    created_at = db.Column(db.DateTime, default=datetime.utcnow, index=True)
+    # Emails are copied rather than linked, so entries outlive the users they mention
+    actor_email = db.Column(db.String(100), nullable=True)
+    action = db.Column(db.String(50), nullable=False, index=True)  # e.g. "user.invite", "device.revoke"
+    target_email = db.Column(db.String(100), nullable=True)
+    detail = db.Column(db.String(500), nullable=True)
+    ip = db.Column(db.String(45), nullable=True)
+
+class Deck(db.Model):
+    __tablename__ = "deck"
+    id = db.Column(db.Integer, primary_key=True)
+    title = db.Column(db.String(200), nullable=False)
+    user_id = db.Column(db.Integer, db.ForeignKey("login_info.id"), nullable=False)
+    created_at = db.Column(db.DateTime, default=datetime.utcnow)
+    share_token = db.Column(db.String(64), unique=True, nullable=True)  # 👥 set while a live session is open to others
+    last_position = db.Column(db.Integer, nullable=False, default=0, server_default="0")  # 🔢 last slide position handed out
+    images = db.relationship("Image", backref="deck", lazy=True, cascade="all, delete-orphan")
 
 class Image(db.Model):
     __tablename__ = "image"
     id = db.Column(db.Integer, primary_key=True)
     filename = db.Column(db.String(200), nullable=False)
-    data = db.Column(db.LargeBinary, nullable=False)   # 🖼️ Store file as BLOB
+    data = db.deferred(db.Column(db.LargeBinary, nullable=False))   # 🖼️ Store file as BLOB, only loaded when used
     mimetype = db.Column(db.String(50), nullable=False)
+    width = db.Column(db.Integer, nullable=True)   # pixel size, lets the viewer lay out slides before they load
+    height = db.Column(db.Integer, nullable=True)
+    position = db.Column(db.Integer, nullable=False, default=0, server_default="0")  # slide order
+    rotation = db.Column(db.Integer, nullable=False, default=0, server_default="0")  # degrees, multiple of 90
+    notes = db.Column(db.Text, nullable=True)  # 🗒️ speaker notes
+    ocr_text = db.Column(db.Text, nullable=True)   # 🔎 text found on the slide, for search
+    ocr_words = db.Column(db.Text, nullable=True)  # JSON list of {text, x, y, w, h} in image pixels; NULL = not OCR'd yet
+    deleted = db.Column(db.Boolean, nullable=False, default=False, server_default="0")  # kept for undo until next page load
+    uploaded_at = db.Column(db.DateTime, nullable=True, default=datetime.utcnow)
     user_id = db.Column(db.Integer, db.ForeignKey("login_info.id"), nullable=False)
+    deck_id = db.Column(db.Integer, db.ForeignKey("deck.id"), nullable=True)  # 📄 NULL only for slides from before decks existed
+    annotation = db.relationship("Annotation", backref="image", uselist=False, cascade="all, delete-orphan")
+    chats = db.relationship("Chat", backref="image", cascade="all, delete-orphan")
+    renditions = db.relationship("ImageRendition", backref="image", cascade="all, delete-orphan")
+
+class ImageRendition(db.Model):
+    __tablename__ = "image_rendition"
+    __table_args__ = (db.UniqueConstraint("image_id", "size"),)
+    id = db.Column(db.Integer, primary_key=True)
+    image_id = db.Column(db.Integer, db.ForeignKey("image.id"), nullable=False)
+    size = db.Column(db.String(20), nullable=False)  # a key of RENDITION_SIZES
+    data = db.Column(db.LargeBinary, nullable=False)
+    mimetype = db.Column(db.String(50), nullable=False)
+    width = db.Column(db.Integer, nullable=False)
+    height = db.Column(db.Integer, nullable=False)
+    created_at = db.Column(db.DateTime, default=datetime.utcnow)
+
+class Annotation(db.Model):
+    __tablename__ = "annotation"
+    id = db.Column(db.Integer, primary_key=True)
+    image_id = db.Column(db.Integer, db.ForeignKey("image.id"), unique=True, nullable=False)
+    strokes = db.Column(db.Text, nullable=False, default="[]")  # ✏️ JSON list of vector strokes
+    version = db.Column(db.Integer, nullable=False, default=0)
+    updated_at = db.Column(db.DateTime, default=datetime.utcnow, onupdate=datetime.utcnow)
+
+class Chat(db.Model):
+    __tablename__ = "chat"
+    id = db.Column(db.Integer, primary_key=True)
+    title = db.Column(db.String(100), nullable=False)
+    user_id = db.Column(db.Integer, db.ForeignKey("login_info.id"), nullable=False)
+    image_id = db.Column(db.Integer, db.ForeignKey("image.id"), nullable=True)  # 🖼️ set when asking about a slide
+    created_at = db.Column(db.DateTime, default=datetime.utcnow)
+    updated_at = db.Column(db.DateTime, default=datetime.utcnow, onupdate=datetime.utcnow)
+    messages = db.relationship("ChatMessage", backref="chat", order_by="ChatMessage.id", cascade="all, delete-orphan")
+
+class ChatMessage(db.Model):
+    __tablename__ = "chat_message"
+    id = db.Column(db.Integer, primary_key=True)
+    chat_id = db.Column(db.Integer, db.ForeignKey("chat.id"), nullable=False)
+    role = db.Column(db.String(20), nullable=False)  # "user" or "assistant"
+    content = db.Column(db.Text, nullable=False)
+    created_at = db.Column(db.DateTime, default=datetime.utcnow)
 
 # ----------------------
 # User loader
 # ----------------------
 @login_manager.user_loader
 def load_user(user_id):
-    return Login_Info.query.get(int(user_id))
+    user = Login_Info.query.get(int(user_id))
+    # 🚫 Disabling an account also ends the sessions it already has
+    return user if user and not user.disabled else None
 
 # ----------------------
 # Utility
@@ -64,6 +208,237 @@ def load_user(user_id):
 def generate_device_token():
     return secrets.token_urlsafe(32)
 
+def hash_token(token):
+    return hashlib.sha256(token.encode()).hexdigest()
+
+def describe_device(user_agent):
+    """A readable name like "Firefox on Windows" from a User-Agent header."""
+    browsers = [("Edg/", "Edge"), ("OPR/", "Opera"), ("Firefox/", "Firefox"), ("Chrome/", "Chrome"), ("Safari/", "Safari")]
+    systems = [("iPhone", "iPhone"), ("iPad", "iPad"), ("Android", "Android"), ("Windows", "Windows"),
+               ("Mac OS X", "macOS"), ("CrOS", "ChromeOS"), ("Linux", "Linux")]
+    browser = next((name for marker, name in browsers if marker in user_agent), "Unknown browser")
+    system = next((name for marker, name in systems if marker in user_agent), "unknown system")
+    return f"{browser} on {system}"
+
+def adopt_legacy_device(user):
+    """A device_token from before devices were listed becomes the account's first Device."""
+    if user.device_token:
+        db.session.add(Device(user=user, token_hash=hash_token(user.device_token), name="Device in use before device lists"))
+        user.device_token = None
+        db.session.commit()
+
+def device_for(user, token):
+    """The user's device holding this device_token cookie, or None."""
+    if not token:
+        return None
+    adopt_legacy_device(user)
+    return Device.query.filter_by(user_id=user.id, token_hash=hash_token(token)).first()
+
+def trusted_devices(user):
+    return [device for device in user.devices if device.trusted]
+
+def drop_expired_requests(user):
+    """New devices that waited too long for approval have to ask again."""
+    cutoff = datetime.utcnow() - app.config['DEVICE_REQUEST_TTL']
+    for device in [device for device in user.devices if not device.trusted and device.created_at < cutoff]:
+        user.devices.remove(device)
+
+def issue_device_code(user):
+    """A one-time code that approves one new device; only its hash is stored."""
+    code = f"{secrets.randbelow(10 ** 8):08d}"
+    user.device_code_hash = hash_token(code)
+    user.device_code_expires_at = datetime.utcnow() + app.config['DEVICE_CODE_TTL']
+    return code
+
+def set_device_cookie(resp, token):
+    resp.set_cookie(
+        "device_token",
+        token,
+        max_age=60 * 60 * 24 * 365,  # 1 year
+        httponly=True,
+        samesite="Strict",
+        secure=True
+    )
+    return resp
+
+def audit(action, target_email=None, detail=None, actor_email=None):
+    """Record an action in the audit log; committed along with the change it describes."""
+    # Outside a request (the create-admin command) there's no one signed in and no address
+    in_request = has_request_context()
+    if actor_email is None and in_request and current_user.is_authenticated:
+        actor_email = current_user.email
+    db.session.add(AuditLog(
+        actor_email=actor_email,
+        action=action,
+        target_email=target_email,
+        detail=detail[:500] if detail else None,
+        ip=request.remote_addr if in_request else None,
+    ))
+
+def admin_required(view):
+    @wraps(view)
+    @login_required
+    def wrapped(*args, **kwargs):
+        if not current_user.is_admin:
+            if wants_json():
+                return jsonify({"error": "Admins only."}), 403
+            return "Admins only", 403
+        return view(*args, **kwargs)
+    return wrapped
+
+def wants_json():
+    return request.accept_mimetypes.best == "application/json"
+
+# Formats stored as uploaded (what the browser's preprocessing produces); anything else becomes PNG
+STORED_FORMATS = {"PNG": "image/png", "JPEG": "image/jpeg", "WEBP": "image/webp"}
+
+def has_metadata(img):
+    """Whether an image carries EXIF (camera, GPS position, orientation), XMP, comments or PNG text."""
+    return (
+        len(img.getexif()) > 0
+        or any(key in img.info for key in ("exif", "xmp", "XML:com.adobe.xmp", "comment"))
+        or bool(getattr(img, "text", None))
+    )
+
+def normalize_image(raw):
+    """Decode an upload into (Pillow image, bytes to store, mimetype).
+
+    PNG, JPEG and WebP without metadata are kept byte for byte, so a compressed photo stays
+    compressed; other formats, and photos carrying EXIF or other metadata, are turned upright
+    and re-encoded with only their color profile, so no GPS position or camera details are kept."""
+    img = PILImage.open(io.BytesIO(raw))
+    img.load()
+    if img.format in STORED_FORMATS and not has_metadata(img):
+        return img, raw, STORED_FORMATS[img.format]
+
+    fmt = img.format if img.format in STORED_FORMATS else "PNG"
+    icc_profile = img.info.get("icc_profile")
+    img = ImageOps.exif_transpose(img)
+    if fmt == "JPEG" and img.mode not in ("RGB", "L"):
+        img = img.convert("RGB")
+    # 🧹 Pillow only writes the metadata it's handed, so everything but the color profile is left out
+    options = {"icc_profile": icc_profile} if icc_profile else {}
+    if fmt != "PNG":
+        options["quality"] = 90
+    output = io.BytesIO()
+    img.save(output, format=fmt, **options)
+    return img, output.getvalue(), STORED_FORMATS[fmt]
+
+def extract_words(img):
+    """OCR a slide image into words with their bounding boxes; None when OCR isn't available."""
+    try:
+        data = pytesseract.image_to_data(img.convert("RGB"), output_type=pytesseract.Output.DICT)
+    except Exception as e:
+        app.logger.warning("OCR failed: %s", e)
+        return None
+
+    words = []
+    for i, word in enumerate(data["text"]):
+        if word.strip() and float(data["conf"][i]) >= 0:
+            words.append({
+                "text": word.strip(),
+                "x": data["left"][i],
+                "y": data["top"][i],
+                "w": data["width"][i],
+                "h": data["height"][i],
+            })
+    return words
+
+def apply_ocr(image, img):
+    words = extract_words(img)
+    if words is not None:
+        image.ocr_words = json.dumps(words)
+        image.ocr_text = " ".join(word["text"] for word in words)
+
+def user_deck(deck_id):
+    """The current user's deck with this id, or None if there is none."""
+    deck = Deck.query.get(deck_id) if deck_id is not None else None
+    return deck if deck and deck.user_id == current_user.id else None
+
+def claim_position(deck_id):
+    """The position for a slide added at the end of a deck. Bumping the deck's counter locks its row
+    until the upload commits, so uploads running side by side take turns reading the last position."""
+    Deck.query.filter_by(id=deck_id).update({Deck.last_position: Deck.last_position + 1})
+    claimed = db.session.query(Deck.last_position).filter_by(id=deck_id).scalar()
+    last_slide = db.session.query(db.func.max(Image.position)).filter_by(deck_id=deck_id).scalar()
+    # Decks from before the counter (and imported ones) carry on after their last slide
+    position = max(claimed, (last_slide or 0) + 1)
+    if position != claimed:
+        Deck.query.filter_by(id=deck_id).update({Deck.last_position: position})
+    return position
+
+def viewable_deck(deck_id):
+    """A deck the current user owns, or one they joined through the link of a live session still open."""
+    deck = Deck.query.get(deck_id) if deck_id is not None else None
+    if deck is None:
+        return None
+    if deck.user_id == current_user.id:
+        return deck
+    if deck.share_token and session.get("shares", {}).get(str(deck.id)) == deck.share_token:
+        return deck
+    return None
+
+def can_view(image):
+    return image.user_id == current_user.id or (image.deck_id is not None and viewable_deck(image.deck_id) is not None)
+
+def deck_images(deck_id):
+    """The slides in a deck, in slide order; callers check the deck is the user's to see."""
+    return Image.query.filter_by(deck_id=deck_id, deleted=False).order_by(Image.position, Image.id).all()
+
+def deck_json(deck):
+    images = deck_images(deck.id)
+    return {
+        "id": deck.id,
+        "title": deck.title,
+        "slides": len(images),
+        "url": url_for("view_deck", deck_id=deck.id),
+        "cover": url_for("get_image", image_id=images[0].id, size="thumb") if images else None,
+    }
+
+def adopt_loose_slides():
+    """Slides uploaded before decks existed are gathered into a deck of their own."""
+    loose = Image.query.filter_by(user_id=current_user.id, deck_id=None).all()
+    if loose:
+        deck = Deck(title="My slides", user_id=current_user.id)
+        db.session.add(deck)
+        for image in loose:
+            image.deck = deck
+        db.session.commit()
+
+def purge_deleted():
+    # A fresh page load starts a fresh undo history, so deleted images can no longer be restored
+    for image in Image.query.filter_by(user_id=current_user.id, deleted=True).all():
+        db.session.delete(image)
+    db.session.commit()
+
+def upgrade_schema():
+    """Add columns introduced after a table was created (db.create_all never alters tables)."""
+    inspector = inspect(db.engine)
+    for table in db.metadata.sorted_tables:
+        if not inspector.has_table(table.name):
+            continue
+        existing = {column["name"] for column in inspector.get_columns(table.name)}
+        for column in table.columns:
+            if column.name in existing:
+                continue
+            ddl = f"ALTER TABLE {table.name} ADD COLUMN {column.name} {column.type.compile(dialect=db.engine.dialect)}"
+            if column.server_default is not None:
+                ddl += f" DEFAULT {column.server_default.arg}"
+            with db.engine.begin() as conn:
+                conn.execute(text(ddl))
+
+def setup_database():
+    """Create missing tables and columns. Runs whenever the app is loaded, so python main.py,
+    flask commands and gunicorn all start on an up-to-date schema."""
+    with app.app_context():
+        try:
+            db.create_all()
+            upgrade_schema()
+        except DatabaseError:
+            # 🔁 Several workers starting at once: another one created it first, so look again
+            db.create_all()
+            upgrade_schema()
+
 # ----------------------
 # Auth routes
 # ----------------------
@@ -82,30 +457,31 @@ def login():
             flash("Password incorrect.")
             return redirect(url_for("login"))
 
-        # Device restriction
+        if user.disabled:
+            flash("This account has been disabled.")
+            return redirect(url_for("login"))
+
+        # Device restriction: the first device is trusted straight away, later ones need approval
         device_cookie = request.cookies.get("device_token")
-        if user.device_token:
-            if device_cookie != user.device_token:
-                flash("Access denied: This account is tied to a different device.")
-                return redirect(url_for("login"))
-        else:
-            token = generate_device_token()
-            user.device_token = token
+        device = device_for(user, device_cookie)
+        drop_expired_requests(user)
+        if device is None or device not in user.devices:
+            if trusted_devices(user):
+                return request_device(user)
+            device_cookie = generate_device_token()
+            device = Device(user=user, token_hash=hash_token(device_cookie), name=describe_device(request.headers.get("User-Agent", "")))
+            db.session.add(device)
+        elif not device.trusted:
+            # ⏳ Logging in again from a device that's still waiting
             db.session.commit()
-            device_cookie = token
+            session["pending_user_id"] = user.id
+            return redirect(url_for("pending_device"))
+        device.last_seen_at = datetime.utcnow()
+        device.last_ip = request.remote_addr
+        db.session.commit()
 
         login_user(user)
-
-        resp = make_response(redirect(url_for("index")))
-        resp.set_cookie(
-            "device_token",
-            device_cookie,
-            max_age=60 * 60 * 24 * 365,  # 1 year
-            httponly=True,
-            samesite="Strict",
-            secure=True
-        )
-        return resp
+        return set_device_cookie(make_response(redirect(url_for("index"))), device_cookie)
 
     return render_template("login.html")
 
@@ -118,71 +494,670 @@ def logout():
     return redirect(url_for("login"))
 
 
-@app.route("/reset_device/<int:user_id>")
+@app.before_request
+def check_device():
+    """Signed-in requests have to come from a device still bound to the account."""
+    if not current_user.is_authenticated or request.endpoint in ("static", "service_worker", "logout"):
+        return None
+
+    device = device_for(current_user, request.cookies.get("device_token"))
+    if device is None or not device.trusted:
+        # 🔒 Revoked (or the cookie is gone): this session ends here
+        logout_user()
+        if wants_json() or request.method != "GET":
+            return jsonify({"error": "This device has been signed out."}), 401
+        flash("This device has been signed out.")
+        return redirect(url_for("login"))
+
+    now = datetime.utcnow()
+    if device.last_seen_at is None or now - device.last_seen_at > app.config['DEVICE_SEEN_INTERVAL']:
+        device.last_seen_at = now
+        device.last_ip = request.remote_addr
+        db.session.commit()
+    return None
+
+
+@app.route("/invite/<token>", methods=["GET", "POST"])
+def accept_invite(token):
+    """An invited user picks their password; they sign in (and bind their device) as usual after."""
+    user = Login_Info.query.filter_by(invite_token_hash=hash_token(token)).first()
+    if user is None or user.invite_expires_at is None or user.invite_expires_at < datetime.utcnow():
+        flash("This invite link is invalid or has expired. Ask an admin for a new one.")
+        return redirect(url_for("login"))
+
+    if request.method == "POST":
+        password = request.form.get("password") or ""
+        problem = password_problem(password)
+        if problem:
+            flash(problem)
+            return redirect(url_for("accept_invite", token=token))
+        if password != request.form.get("confirm"):
+            flash("The passwords don't match.")
+            return redirect(url_for("accept_invite", token=token))
+
+        user.password = hash_password(password)
+        user.invite_token_hash = None
+        user.invite_expires_at = None
+        audit("invite.accept", target_email=user.email, actor_email=user.email)
+        db.session.commit()
+        flash("Your password is set. You can log in now.")
+        return redirect(url_for("login"))
+
+    return render_template("invite.html", email=user.email)
+
+
+@app.route("/reset_device/<int:user_id>", methods=["POST"])
+@admin_required
 def reset_device(user_id):
-    """Reset a user's device token (admin use only)."""
+    """Unbind every device from an account, so the next login binds a new one."""
     user = Login_Info.query.get(user_id)
-    if user:
-        user.device_token = None
+    if user is None:
+        return admin_result("User not found.", 404)
+
+    count = len(user.devices)
+    for device in list(user.devices):
+        db.session.delete(device)
+    user.device_token = None
+    audit("device.reset", target_email=user.email, detail=f"{count} device(s) removed")
+    db.session.commit()
+    return admin_result(f"Devices for {user.email} have been reset.")
+
+# ----------------------
+# Devices
+# ----------------------
+def request_device(user):
+    """Password checked on a device the account doesn't trust yet: park it until it's approved."""
+    if len(trusted_devices(user)) >= app.config['MAX_DEVICES']:
         db.session.commit()
-        flash(f"Device token for {user.email} has been reset.")
-    else:
-        flash("User not found.")
-    return redirect(url_for("login"))
+        flash(f"This account already has {app.config['MAX_DEVICES']} trusted devices. "
+              "Remove one under My devices on a trusted device first.")
+        return redirect(url_for("login"))
+
+    token = generate_device_token()
+    device = Device(user=user, token_hash=hash_token(token), name=describe_device(request.headers.get("User-Agent", "")),
+                    trusted=False, last_ip=request.remote_addr)
+    db.session.add(device)
+    audit("device.request", target_email=user.email, detail=device.name, actor_email=user.email)
+    db.session.commit()
+
+    session["pending_user_id"] = user.id
+    return set_device_cookie(make_response(redirect(url_for("pending_device"))), token)
+
+def waiting_device():
+    """The signed-out user and device request behind the pending page, as (user, device)."""
+    user = Login_Info.query.get(session.get("pending_user_id") or 0)
+    if user is None or user.disabled:
+        return None, None
+    drop_expired_requests(user)
+    db.session.commit()
+    return user, device_for(user, request.cookies.get("device_token"))
 
+def finish_approval(user, device):
+    session.pop("pending_user_id", None)
+    device.last_seen_at = datetime.utcnow()
+    db.session.commit()
+    login_user(user)
+
+@app.route("/devices/pending", methods=["GET", "POST"])
+def pending_device():
+    """A new device waits here until a trusted one approves it, or its user types a one-time code."""
+    if current_user.is_authenticated:
+        return redirect(url_for("index"))
+    user, device = waiting_device()
+    if device is None:
+        session.pop("pending_user_id", None)
+        flash("This device isn't waiting for approval (it may have been denied, or the request expired). Log in again.")
+        return redirect(url_for("login"))
+    if device.trusted:
+        finish_approval(user, device)
+        return redirect(url_for("index"))
+
+    if request.method == "POST":
+        code = (request.form.get("code") or "").replace(" ", "")
+        valid = (
+            user.device_code_hash is not None
+            and user.device_code_expires_at > datetime.utcnow()
+            and secrets.compare_digest(hash_token(code), user.device_code_hash)
+        )
+        if not valid:
+            device.code_attempts += 1
+            if device.code_attempts >= app.config['DEVICE_CODE_ATTEMPTS']:
+                audit("device.deny", target_email=user.email, detail=f"{device.name}: too many wrong codes", actor_email=user.email)
+                db.session.delete(device)
+                db.session.commit()
+                session.pop("pending_user_id", None)
+                flash("Too many wrong codes. Log in again to ask for approval.")
+                return redirect(url_for("login"))
+            db.session.commit()
+            flash("That code is wrong or has expired.")
+            return redirect(url_for("pending_device"))
+
+        if len(trusted_devices(user)) >= app.config['MAX_DEVICES']:
+            flash(f"This account already has {app.config['MAX_DEVICES']} trusted devices. Remove one first.")
+            return redirect(url_for("pending_device"))
+        device.trusted = True
+        user.device_code_hash = None
+        user.device_code_expires_at = None
+        audit("device.approve", target_email=user.email, detail=f"{device.name}, with a one-time code", actor_email=user.email)
+        finish_approval(user, device)
+        return redirect(url_for("index"))
+
+    expires_at = device.created_at + app.config['DEVICE_REQUEST_TTL']
+    return render_template("device_pending.html", device=device, email=user.email, expires_at=expires_at)
+
+@app.route("/devices/pending/status")
+def pending_device_status():
+    """Polled by the pending page; signs the device in once it has been approved."""
+    user, device = waiting_device()
+    if device is None:
+        return jsonify({"status": "denied", "url": url_for("login")})
+    if device.trusted:
+        finish_approval(user, device)
+        return jsonify({"status": "approved", "url": url_for("index")})
+    return jsonify({"status": "pending"})
+
+def own_device(device_id):
+    """The current user's device with this id, or None."""
+    device = Device.query.get(device_id)
+    return device if device and device.user_id == current_user.id else None
+
+def devices_result(message, status=200):
+    if wants_json():
+        return jsonify({"error" if status >= 400 else "message": message}), status
+    flash(message)
+    return redirect(url_for("my_devices"))
+
+@app.route("/devices")
+@login_required
+def my_devices():
+    drop_expired_requests(current_user)
+    db.session.commit()
+    current = device_for(current_user, request.cookies.get("device_token"))
+    return render_template("devices.html", devices=current_user.devices, current=current,
+                           trusted_count=len(trusted_devices(current_user)), max_devices=app.config['MAX_DEVICES'])
+
+@app.route("/devices/requests")
+@login_required
+def device_requests():
+    """Devices waiting for approval, so My devices can show new requests as they come in."""
+    drop_expired_requests(current_user)
+    db.session.commit()
+    return jsonify({"pending": [device.id for device in current_user.devices if not device.trusted]})
+
+@app.route("/devices/<int:device_id>/approve", methods=["POST"])
+@login_required
+def approve_device(device_id):
+    device = own_device(device_id)
+    if device is None:
+        return devices_result("Device not found.", 404)
+    if device.trusted:
+        return devices_result(f"{device.name} is already trusted.")
+    if len(trusted_devices(current_user)) >= app.config['MAX_DEVICES']:
+        return devices_result(f"You already have {app.config['MAX_DEVICES']} trusted devices. Remove one first.", 409)
 
-@app.route("/create_users")
-def create_users():
-    """Run once to create allowed users"""
-    emails = ["user1.com", "user2.com", "user3.com", "user4.com"]
-    passwords = ["pass1", "pass2", "pass3", "pass4"]
+    device.trusted = True
+    audit("device.approve", target_email=current_user.email, detail=device.name)
+    db.session.commit()
+    return devices_result(f"Approved {device.name}. It's signing in now.")
+
+@app.route("/devices/<int:device_id>/rename", methods=["POST"])
+@login_required
+def rename_device(device_id):
+    device = own_device(device_id)
+    if device is None:
+        return devices_result("Device not found.", 404)
+
+    data = request.get_json(silent=True) or request.form
+    name = data.get("name")
+    if not isinstance(name, str) or not name.strip() or len(name.strip()) > 200:
+        return devices_result("Device names must be 1 to 200 characters.", 400)
+
+    audit("device.rename", target_email=current_user.email, detail=f"{device.name} -> {name.strip()}")
+    device.name = name.strip()
+    db.session.commit()
+    return devices_result(f"Renamed to {device.name}.")
 
-    for email, pwd in zip(emails, passwords):
-        if not Login_Info.query.filter_by(email=email).first():
-            user = Login_Info(
-                email=email,
-                password=generate_password_hash(pwd, method="pbkdf2:sha256", salt_length=8),
-            )
-            db.session.add(user)
+@app.route("/devices/<int:device_id>/revoke", methods=["POST"])
+@login_required
+def remove_device(device_id):
+    """Revoke a trusted device (signing it out), or deny one waiting for approval."""
+    device = own_device(device_id)
+    if device is None:
+        return devices_result("Device not found.", 404)
+
+    was_trusted = device.trusted
+    audit("device.revoke" if was_trusted else "device.deny", target_email=current_user.email, detail=device.name)
+    db.session.delete(device)
+    db.session.commit()
+    if not was_trusted:
+        return devices_result(f"Denied {device.name}.")
+    return devices_result(f"Removed {device.name}; it has been signed out.")
+
+@app.route("/devices/code", methods=["POST"])
+@login_required
+def device_code():
+    """A one-time code to type on a new device, for when approving it here isn't handy."""
+    code = issue_device_code(current_user)
+    audit("device.code", target_email=current_user.email)
     db.session.commit()
-    return "Users created. Disable this route after first run!"
+    minutes = int(app.config['DEVICE_CODE_TTL'].total_seconds() // 60)
+    return devices_result(f"Your one-time code is {code}. Enter it on the new device within {minutes} minutes.")
 
 # ----------------------
-# Image routes
+# Admin
+# ----------------------
+AUDIT_PAGE_SIZE = 200
+
+def admin_result(message, status=200):
+    """Admin actions answer JSON for scripts, or go back to the admin page with a message."""
+    if wants_json():
+        return jsonify({"error" if status >= 400 else "message": message}), status
+    flash(message)
+    return redirect(url_for("admin"))
+
+def admin_flag(data):
+    """The "admin" field of an admin form or JSON body; only 1 or true (not "0" or "false") grant the role."""
+    return str(data.get("admin")) in ("1", "true", "True")
+
+def hash_password(password):
+    return generate_password_hash(password, method="pbkdf2:sha256", salt_length=8)
+
+def password_problem(password):
+    if not isinstance(password, str) or len(password) < app.config['PASSWORD_MIN_LENGTH']:
+        return f"Passwords must be at least {app.config['PASSWORD_MIN_LENGTH']} characters."
+    return None
+
+def issue_invite(user):
+    """A fresh invite link for the user; only its hash is stored."""
+    token = secrets.token_urlsafe(32)
+    user.invite_token_hash = hash_token(token)
+    user.invite_expires_at = datetime.utcnow() + app.config['INVITE_TTL']
+    return url_for("accept_invite", token=token, _external=True)
+
+def delete_account(user):
+    """Delete a user with everything they own."""
+    for chat in Chat.query.filter_by(user_id=user.id).all():
+        db.session.delete(chat)
+    for deck in Deck.query.filter_by(user_id=user.id).all():
+        db.session.delete(deck)
+    for image in Image.query.filter_by(user_id=user.id).all():
+        # 🕰️ Slides from before decks existed
+        db.session.delete(image)
+    db.session.delete(user)
+
+@app.route("/admin")
+@admin_required
+def admin():
+    users = Login_Info.query.order_by(Login_Info.email).all()
+
+    # 🔎 Audit log filters: action, an email either side of it, and a start date
+    filters = {
+        "action": request.args.get("action", ""),
+        "email": request.args.get("email", "").strip(),
+        "since": request.args.get("since", ""),
+    }
+    entries = AuditLog.query
+    if filters["action"]:
+        entries = entries.filter(AuditLog.action == filters["action"])
+    if filters["email"]:
+        pattern = f"%{filters['email']}%"
+        entries = entries.filter(AuditLog.actor_email.ilike(pattern) | AuditLog.target_email.ilike(pattern))
+    if filters["since"]:
+        try:
+            entries = entries.filter(AuditLog.created_at >= datetime.strptime(filters["since"], "%Y-%m-%d"))
+        except ValueError:
+            filters["since"] = ""
+    entries = entries.order_by(AuditLog.created_at.desc(), AuditLog.id.desc()).limit(AUDIT_PAGE_SIZE).all()
+    actions = [action for (action,) in db.session.query(AuditLog.action).distinct().order_by(AuditLog.action)]
+
+    return render_template("admin.html", users=users, entries=entries, actions=actions, filters=filters,
+                           now=datetime.utcnow(), page_size=AUDIT_PAGE_SIZE)
+
+@app.route("/admin/users", methods=["POST"])
+@admin_required
+def invite_user():
+    data = request.get_json(silent=True) or request.form
+    email = data.get("email")
+    if not isinstance(email, str) or not email.strip() or len(email.strip()) > 100:
+        return admin_result("Emails must be 1 to 100 characters.", 400)
+    email = email.strip()
+    if Login_Info.query.filter_by(email=email).first():
+        return admin_result(f"{email} already has an account.", 409)
+
+    # ✉️ No usable password until the invite is accepted
+    user = Login_Info(email=email, password=hash_password(secrets.token_urlsafe(32)), is_admin=admin_flag(data))
+    db.session.add(user)
+    link = issue_invite(user)
+    audit("user.invite", target_email=email, detail="as admin" if user.is_admin else None)
+    db.session.commit()
+    return admin_result(f"Invited {email}. Send them this link (valid for {app.config['INVITE_TTL'].days} days): {link}", 201)
+
+@app.route("/admin/users/<int:user_id>/invite", methods=["POST"])
+@admin_required
+def reissue_invite(user_id):
+    user = Login_Info.query.get(user_id)
+    if user is None:
+        return admin_result("User not found.", 404)
+
+    link = issue_invite(user)
+    audit("user.reinvite", target_email=user.email)
+    db.session.commit()
+    return admin_result(f"New invite link for {user.email} (valid for {app.config['INVITE_TTL'].days} days): {link}")
+
+@app.route("/admin/users/<int:user_id>/device_code", methods=["POST"])
+@admin_required
+def admin_device_code(user_id):
+    """A one-time device code for a user who has no trusted device at hand."""
+    user = Login_Info.query.get(user_id)
+    if user is None:
+        return admin_result("User not found.", 404)
+
+    code = issue_device_code(user)
+    audit("device.code", target_email=user.email, detail="issued by an admin")
+    db.session.commit()
+    minutes = int(app.config['DEVICE_CODE_TTL'].total_seconds() // 60)
+    return admin_result(f"One-time device code for {user.email}: {code} (valid for {minutes} minutes).")
+
+@app.route("/admin/users/<int:user_id>/disable", methods=["POST"])
+@admin_required
+def disable_user(user_id):
+    user = Login_Info.query.get(user_id)
+    if user is None:
+        return admin_result("User not found.", 404)
+    if user.id == current_user.id:
+        return admin_result("You can't disable your own account.", 400)
+
+    user.disabled = True
+    audit("user.disable", target_email=user.email)
+    db.session.commit()
+    return admin_result(f"{user.email} has been disabled.")
+
+@app.route("/admin/users/<int:user_id>/enable", methods=["POST"])
+@admin_required
+def enable_user(user_id):
+    user = Login_Info.query.get(user_id)
+    if user is None:
+        return admin_result("User not found.", 404)
+
+    user.disabled = False
+    audit("user.enable", target_email=user.email)
+    db.session.commit()
+    return admin_result(f"{user.email} has been enabled.")
+
+@app.route("/admin/users/<int:user_id>/password", methods=["POST"])
+@admin_required
+def set_password(user_id):
+    user = Login_Info.query.get(user_id)
+    if user is None:
+        return admin_result("User not found.", 404)
+
+    data = request.get_json(silent=True) or request.form
+    password = data.get("password")
+    problem = password_problem(password)
+    if problem:
+        return admin_result(problem, 400)
+
+    user.password = hash_password(password)
+    # A password set for them replaces the one they were invited to pick
+    user.invite_token_hash = None
+    user.invite_expires_at = None
+    audit("user.password", target_email=user.email)
+    db.session.commit()
+    return admin_result(f"Password for {user.email} has been set.")
+
+@app.route("/admin/users/<int:user_id>/role", methods=["POST"])
+@admin_required
+def set_role(user_id):
+    user = Login_Info.query.get(user_id)
+    if user is None:
+        return admin_result("User not found.", 404)
+
+    data = request.get_json(silent=True) or request.form
+    make_admin = admin_flag(data)
+    if user.id == current_user.id and not make_admin:
+        # Keeps at least one admin around
+        return admin_result("You can't remove your own admin role.", 400)
+
+    user.is_admin = make_admin
+    audit("user.role", target_email=user.email, detail="admin" if make_admin else "user")
+    db.session.commit()
+    return admin_result(f"{user.email} is now {'an admin' if make_admin else 'a regular user'}.")
+
+@app.route("/admin/users/<int:user_id>/delete", methods=["POST"])
+@admin_required
+def delete_user(user_id):
+    user = Login_Info.query.get(user_id)
+    if user is None:
+        return admin_result("User not found.", 404)
+    if user.id == current_user.id:
+        return admin_result("You can't delete your own account.", 400)
+
+    email = user.email
+    delete_account(user)
+    audit("user.delete", target_email=email)
+    db.session.commit()
+    return admin_result(f"{email} and all of their decks have been deleted.")
+
+@app.route("/admin/devices/<int:device_id>/revoke", methods=["POST"])
+@admin_required
+def revoke_device(device_id):
+    device = Device.query.get(device_id)
+    if device is None:
+        return admin_result("Device not found.", 404)
+
+    email = device.user.email
+    audit("device.revoke", target_email=email, detail=device.name)
+    db.session.delete(device)
+    db.session.commit()
+    return admin_result(f"Revoked {device.name} for {email}; it has been signed out.")
+
+# ----------------------
+# Deck library
 # ----------------------
 @app.route("/")
 @login_required
 def index():
-    images = Image.query.filter_by(user_id=current_user.id).all()
-    return render_template("index.html", images=images)
+    adopt_loose_slides()
+    decks = Deck.query.filter_by(user_id=current_user.id).order_by(Deck.created_at.desc(), Deck.id.desc()).all()
+    return render_template("library.html", decks=[deck_json(deck) for deck in decks])
+
+@app.route("/decks", methods=["POST"])
+@login_required
+def create_deck():
+    data = request.get_json(silent=True) or request.form
+    title = data.get("title") or ""
+    if not isinstance(title, str) or len(title.strip()) > 200:
+        return jsonify({"error": "Titles can be at most 200 characters."}), 400
+
+    deck = Deck(title=title.strip() or "Untitled deck", user_id=current_user.id)
+    db.session.add(deck)
+    db.session.commit()
+    if wants_json():
+        return jsonify(deck_json(deck)), 201
+    return redirect(url_for("view_deck", deck_id=deck.id))
+
+@app.route("/decks/<int:deck_id>/rename", methods=["POST"])
+@login_required
+def rename_deck(deck_id):
+    deck = user_deck(deck_id)
+    if deck is None:
+        return jsonify({"error": "Deck not found."}), 404
+
+    data = request.get_json(silent=True) or {}
+    title = data.get("title")
+    if not isinstance(title, str) or not title.strip() or len(title.strip()) > 200:
+        return jsonify({"error": "Titles must be 1 to 200 characters."}), 400
+
+    deck.title = title.strip()
+    db.session.commit()
+    return jsonify(deck_json(deck))
+
+@app.route("/decks/<int:deck_id>/duplicate", methods=["POST"])
+@login_required
+def duplicate_deck(deck_id):
+    """Copy a deck with its slides, notes and annotations (chats stay with the original)."""
+    deck = user_deck(deck_id)
+    if deck is None:
+        return jsonify({"error": "Deck not found."}), 404
+
+    copy = Deck(title=f"{deck.title} (copy)"[:200], user_id=current_user.id)
+    db.session.add(copy)
+    for image in deck_images(deck.id):
+        clone = Image(
+            filename=image.filename,
+            data=image.data,
+            mimetype=image.mimetype,
+            width=image.width,
+            height=image.height,
+            position=image.position,
+            rotation=image.rotation,
+            notes=image.notes,
+            ocr_text=image.ocr_text,
+            ocr_words=image.ocr_words,
+            user_id=current_user.id,
+            deck=copy,
+        )
+        db.session.add(clone)
+        if image.annotation:
+            clone.annotation = Annotation(strokes=image.annotation.strokes)
+    db.session.commit()
+    return jsonify(deck_json(copy)), 201
+
+@app.route("/decks/<int:deck_id>/delete", methods=["POST"])
+@login_required
+def delete_deck(deck_id):
+    deck = user_deck(deck_id)
+    if deck is None:
+        if wants_json():
+            return jsonify({"error": "Deck not found."}), 404
+        flash("Deck not found.")
+        return redirect(url_for("index"))
+
+    db.session.delete(deck)
+    db.session.commit()
+    if wants_json():
+        return jsonify({"deleted": deck_id})
+    return redirect(url_for("index"))
+
+@app.route("/decks/<int:deck_id>/offline")
+@login_required
+def offline_manifest(deck_id):
+    """Everything the service worker needs to open a deck without a connection."""
+    deck = user_deck(deck_id)
+    if deck is None:
+        return jsonify({"error": "Deck not found."}), 404
+
+    urls = [url_for("view_deck", deck_id=deck.id), url_for("presenter", deck=deck.id)]
+    for image in deck_images(deck.id):
+        # 🖼️ Full size serves any zoom; thumbnails keep the sidebar light
+        urls.append(url_for("get_image", image_id=image.id))
+        urls.append(url_for("get_image", image_id=image.id, size="thumb"))
+        urls.append(url_for("annotations", image_id=image.id))
+    return jsonify({"deck": deck.id, "urls": urls})
+
+@app.route("/sw.js")
+def service_worker():
+    # Served from the root rather than /static/ so it can control every page
+    response = send_from_directory(app.static_folder, "sw.js", mimetype="application/javascript", max_age=0)
+    response.headers["Cache-Control"] = "no-cache"
+    return response
+
+# ----------------------
+# Image routes
+# ----------------------
+@app.route("/deck/<int:deck_id>")
+@login_required
+def view_deck(deck_id):
+    deck = viewable_deck(deck_id)
+    if deck is None:
+        flash("Deck not found.")
+        return redirect(url_for("index"))
+
+    # 👥 Someone else's deck, opened from a live session link: view and annotate only
+    owner = deck.user_id == current_user.id
+    if owner:
+        purge_deleted()
+    images = deck_images(deck.id)
+    for image in images:
+        if image.width is None:
+            # 🕰️ Slides from before sizes were stored; the viewer needs them to pick a rendition
+            image.width, image.height = PILImage.open(io.BytesIO(image.data)).size
+    db.session.commit()
+    return render_template("index.html", images=images, deck=deck, owner=owner, shortcuts=user_shortcuts(current_user))
+
+@app.route("/presenter")
+@login_required
+def presenter():
+    deck = user_deck(request.args.get("deck", type=int))
+    if deck is None:
+        return "Deck not found", 404
+    return render_template("presenter.html", images=deck_images(deck.id), deck=deck, shortcuts=user_shortcuts(current_user))
+
+def upload_error(message, code, status=400, filename=None):
+    """Upload failures as JSON: a message to show and a stable code for the uploader to act on."""
+    return jsonify({"error": message, "code": code, "filename": filename}), status
+
+@app.errorhandler(413)
+def request_too_large(e):
+    # Raised by Flask itself past MAX_CONTENT_LENGTH, before any route runs
+    if wants_json():
+        limit = app.config['MAX_CONTENT_LENGTH'] // (1024 * 1024)
+        return upload_error(f"Uploads can be at most {limit}MB.", "too_large", 413)
+    return e
 
 @app.route("/upload", methods=["POST"])
 @login_required
 def upload():
     if "image" not in request.files:
-        return "No file selected", 400
+        return upload_error("No file selected.", "no_file")
 
     file = request.files["image"]
     if file.filename == "":
-        return "No filename", 400
+        return upload_error("No filename.", "no_file")
 
     filename = secure_filename(file.filename)
 
+    file.stream.seek(0, os.SEEK_END)
+    too_large = file.stream.tell() > app.config['MAX_IMAGE_SIZE']
+    file.stream.seek(0)
+    if too_large:
+        return upload_error("Images can be at most 5MB.", "too_large", 413, filename)
+
+    deck_id = request.form.get("deck_id", type=int)
+    if user_deck(deck_id) is None:
+        return upload_error("Deck not found.", "deck_not_found", 404, filename)
+
     # ✅ Normalize uploaded image with Pillow
     try:
-        img = PILImage.open(file.stream)   # read file into Pillow
-        output = io.BytesIO()
-        img.save(output, format="PNG")     # always save as clean PNG
-        data = output.getvalue()
-        mimetype = "image/png"
+        img, data, mimetype = normalize_image(file.read())
     except Exception as e:
-        return f"Image processing error: {str(e)}", 400
+        app.logger.info("Rejected upload %s: %s", filename, e)
+        return upload_error("This file isn't an image that can be read.", "invalid_image", 400, filename)
 
-    new_image = Image(filename=filename, data=data, mimetype=mimetype, user_id=current_user.id)
+    new_image = Image(
+        filename=filename,
+        data=data,
+        mimetype=mimetype,
+        width=img.width,
+        height=img.height,
+        user_id=current_user.id,
+        deck_id=deck_id,
+    )
+    apply_ocr(new_image, img)
+    # 🔢 Claimed last, just before the commit, so parallel uploads don't wait on each other's OCR
+    new_image.position = claim_position(deck_id)
     db.session.add(new_image)
     db.session.commit()
 
-    return redirect(url_for("index"))
+    if wants_json():
+        return jsonify({
+            "id": new_image.id,
+            "filename": new_image.filename,
+            "url": url_for("get_image", image_id=new_image.id),
+            "width": new_image.width,
+            "height": new_image.height,
+        }), 201
+    return redirect(url_for("view_deck", deck_id=deck_id))
 
 @app.route("/delete/<int:image_id>", methods=["POST"])
 @login_required
@@ -190,46 +1165,833 @@ def delete(image_id):
     image = Image.query.get_or_404(image_id)
 
     if image.user_id != current_user.id:
+        if wants_json():
+            return jsonify({"error": "Not authorized to delete this image."}), 403
         flash("Not authorized to delete this image.")
         return redirect(url_for("index"))
 
-    db.session.delete(image)
+    image.deleted = True
     db.session.commit()
+    if wants_json():
+        return jsonify({"deleted": image_id})
     return redirect(url_for("index"))
 
+@app.route("/restore/<int:image_id>", methods=["POST"])
+@login_required
+def restore(image_id):
+    """Undo a delete made earlier in the same page session."""
+    image = Image.query.get_or_404(image_id)
+    if image.user_id != current_user.id:
+        return jsonify({"error": "Not authorized to restore this image."}), 403
+
+    image.deleted = False
+    db.session.commit()
+    return jsonify({"restored": image_id})
+
+@app.route("/rotate/<int:image_id>", methods=["POST"])
+@login_required
+def rotate(image_id):
+    image = Image.query.get_or_404(image_id)
+    if image.user_id != current_user.id:
+        return jsonify({"error": "Not authorized to rotate this image."}), 403
+
+    data = request.get_json(silent=True) or {}
+    rotation = data.get("rotation")
+    if rotation not in (0, 90, 180, 270):
+        return jsonify({"error": "Rotation must be 0, 90, 180 or 270."}), 400
+
+    image.rotation = rotation
+    db.session.commit()
+    return jsonify({"rotation": rotation})
+
+@app.route("/notes/<int:image_id>", methods=["POST"])
+@login_required
+def notes(image_id):
+    image = Image.query.get_or_404(image_id)
+    if image.user_id != current_user.id:
+        return jsonify({"error": "Not authorized to edit these notes."}), 403
+
+    data = request.get_json(silent=True) or {}
+    text = data.get("notes", "")
+    if not isinstance(text, str):
+        return jsonify({"error": "Notes must be text."}), 400
+
+    image.notes = text
+    db.session.commit()
+    return jsonify({"notes": text})
+
+@app.route("/reorder", methods=["POST"])
+@login_required
+def reorder():
+    """Save the slide order sent by the thumbnail rail as a list of image ids."""
+    data = request.get_json(silent=True) or {}
+    order = data.get("order", [])
+    deck_id = data.get("deck_id")
+    if not isinstance(deck_id, int) or user_deck(deck_id) is None:
+        return jsonify({"error": "Deck not found."}), 404
+
+    images = {image.id: image for image in deck_images(deck_id)}
+    if not isinstance(order, list) or not all(isinstance(i, int) for i in order) or sorted(order) != sorted(images):
+        return jsonify({"error": "Order must list every one of your images exactly once."}), 400
+
+    for position, image_id in enumerate(order, start=1):
+        images[image_id].position = position
+    db.session.commit()
+    return jsonify({"order": order})
+
+def image_rendition(image, size):
+    """The image scaled down to RENDITION_SIZES[size], made on first request and kept;
+    None when the original is no bigger than that."""
+    limit = app.config["RENDITION_SIZES"][size]
+    if image.width and max(image.width, image.height) <= limit:
+        return None
+
+    rendition = ImageRendition.query.filter_by(image_id=image.id, size=size).first()
+    if rendition is not None:
+        return rendition
+
+    img = PILImage.open(io.BytesIO(image.data))
+    if max(img.size) <= limit:
+        return None
+    img = img.convert("RGBA" if img.mode in ("RGBA", "LA", "P") else "RGB")
+    img.thumbnail((limit, limit), PILImage.LANCZOS)
+    output = io.BytesIO()
+    img.save(output, format="WEBP", quality=80)
+
+    rendition = ImageRendition(
+        image_id=image.id,
+        size=size,
+        data=output.getvalue(),
+        mimetype="image/webp",
+        width=img.width,
+        height=img.height,
+    )
+    db.session.add(rendition)
+    try:
+        db.session.commit()
+    except IntegrityError:
+        # Another request made it first
+        db.session.rollback()
+        rendition = ImageRendition.query.filter_by(image_id=image.id, size=size).first()
+    return rendition
+
 @app.route("/image/<int:image_id>")
 @login_required
 def get_image(image_id):
     image = Image.query.get_or_404(image_id)
-    return Response(image.data, mimetype=image.mimetype)
+    if not can_view(image):
+        return jsonify({"error": "Not authorized to view this image."}), 403
+
+    size = request.args.get("size", "full")
+    if size != "full" and size not in app.config["RENDITION_SIZES"]:
+        return jsonify({"error": f"Size must be full or one of {', '.join(app.config['RENDITION_SIZES'])}."}), 400
+
+    rendition = image_rendition(image, size) if size != "full" else None
+    source = rendition or image
+    response = Response(source.data, mimetype=source.mimetype)
+    response.set_etag(hashlib.sha1(source.data).hexdigest())
+    modified = rendition.created_at if rendition else image.uploaded_at
+    if modified:
+        response.last_modified = modified
+    # Cached, but checked with the server on every use: ids can come back after a delete,
+    # and revoked access has to take effect; unchanged images cost a 304
+    response.cache_control.private = True
+    response.cache_control.no_cache = True
+    return response.make_conditional(request, accept_ranges=True, complete_length=len(source.data))
+
+# ----------------------
+# Deck import
+# ----------------------
+def pptx_notes(data):
+    """Speaker notes for every slide LibreOffice exports, plus the deck title from the file's properties."""
+    presentation = PptxPresentation(io.BytesIO(data))
+    notes = []
+    for slide in presentation.slides:
+        # Hidden slides are left out of the PDF, so leave their notes out too to keep pages lined up
+        if slide._element.get("show") == "0":
+            continue
+        frame = slide.notes_slide.notes_text_frame if slide.has_notes_slide else None
+        content = frame.text.strip() if frame is not None else ""
+        notes.append(content or None)
+    return notes, presentation.core_properties.title
+
+def pptx_to_pdf(data):
+    """Convert a .pptx to PDF with a headless LibreOffice."""
+    with tempfile.TemporaryDirectory() as folder:
+        source = os.path.join(folder, "deck.pptx")
+        with open(source, "wb") as f:
+            f.write(data)
+        subprocess.run(
+            [
+                app.config["SOFFICE_PATH"],
+                # A profile of its own, so conversions don't trip over each other (or a running LibreOffice)
+                f"-env:UserInstallation=file://{folder}/profile",
+                "--headless", "--convert-to", "pdf", "--outdir", folder, source,
+            ],
+            check=True,
+            capture_output=True,
+            timeout=app.config["IMPORT_TIMEOUT"],
+        )
+        with open(os.path.join(folder, "deck.pdf"), "rb") as f:
+            return f.read()
+
+def render_pages(data):
+    """Render every page of a PDF to PNG; words come from the PDF's text layer, so no OCR is needed."""
+    zoom = app.config["IMPORT_DPI"] / 72
+    pages = []
+    with fitz.open(stream=data, filetype="pdf") as document:
+        if document.page_count > app.config["IMPORT_MAX_PAGES"]:
+            raise ValueError(f"decks can have at most {app.config['IMPORT_MAX_PAGES']} pages")
+
+        for page in document:
+            pixmap = page.get_pixmap(matrix=fitz.Matrix(zoom, zoom), alpha=False)
+            words = [
+                {
+                    "text": word[4],
+                    "x": round(word[0] * zoom),
+                    "y": round(word[1] * zoom),
+                    "w": round((word[2] - word[0]) * zoom),
+                    "h": round((word[3] - word[1]) * zoom),
+                }
+                for word in page.get_text("words")
+            ]
+            pages.append({
+                "data": pixmap.tobytes("png"),
+                "width": pixmap.width,
+                "height": pixmap.height,
+                "words": words,
+            })
+        title = document.metadata.get("title") if document.metadata else None
+    return pages, title
+
+@app.route("/import", methods=["POST"])
+@login_required
+def import_deck():
+    """Split an uploaded .pptx or .pdf into one slide image per page, grouped as a new deck."""
+    file = request.files.get("file")
+    if file is None or file.filename == "":
+        return jsonify({"error": "No file selected"}), 400
+
+    filename = secure_filename(file.filename)
+    stem, extension = os.path.splitext(filename)
+    extension = extension.lower()
+    if extension not in (".pdf", ".pptx"):
+        return jsonify({"error": "Only .pdf and .pptx files can be imported."}), 400
+
+    data = file.read()
+    notes, title = [], None
+    try:
+        if extension == ".pptx":
+            notes, title = pptx_notes(data)
+            data = pptx_to_pdf(data)
+        pages, pdf_title = render_pages(data)
+    except FileNotFoundError:
+        return jsonify({"error": "LibreOffice is needed to import .pptx files but isn't installed."}), 500
+    except subprocess.TimeoutExpired:
+        return jsonify({"error": "Converting the presentation took too long."}), 500
+    except subprocess.CalledProcessError:
+        return jsonify({"error": "The presentation could not be converted."}), 400
+    except Exception as e:
+        return jsonify({"error": f"Could not read {filename}: {str(e)}"}), 400
+
+    if not pages:
+        return jsonify({"error": "The file has no pages."}), 400
+
+    title = (title or pdf_title or "").strip() or stem.replace("_", " ") or "Untitled deck"
+    deck = Deck(title=title[:200], user_id=current_user.id)
+    db.session.add(deck)
+    for number, page in enumerate(pages, start=1):
+        image = Image(
+            filename=f"{stem}-{number}.png",
+            data=page["data"],
+            mimetype="image/png",
+            width=page["width"],
+            height=page["height"],
+            position=number,
+            notes=notes[number - 1] if number <= len(notes) else None,
+            user_id=current_user.id,
+            deck=deck,
+        )
+        if page["words"]:
+            image.ocr_words = json.dumps(page["words"])
+            image.ocr_text = " ".join(word["text"] for word in page["words"])
+        else:
+            # 🔎 Scanned PDFs have no text layer
+            apply_ocr(image, PILImage.open(io.BytesIO(page["data"])))
+        db.session.add(image)
+    db.session.commit()
+
+    return jsonify(deck_json(deck)), 201
+
+# ----------------------
+# Search
+# ----------------------
+def normalize_word(word):
+    return "".join(char for char in word.lower() if char.isalnum())
+
+def find_matches(words, terms):
+    """Start indexes of runs of consecutive words that contain the query terms in order."""
+    normalized = [normalize_word(word["text"]) for word in words]
+    return [
+        start for start in range(len(words) - len(terms) + 1)
+        if all(term in normalized[start + k] for k, term in enumerate(terms))
+    ]
+
+@app.route("/search")
+@login_required
+def search():
+    query = request.args.get("q", "")
+    terms = [term for term in (normalize_word(part) for part in query.split()) if term]
+    if not terms:
+        return jsonify({"query": query, "results": []})
+
+    deck_id = request.args.get("deck", type=int)
+    if viewable_deck(deck_id) is None:
+        return jsonify({"error": "Deck not found."}), 404
+
+    images = deck_images(deck_id)
+    results = []
+    for image in images:
+        if image.ocr_words is None:
+            # 🕰️ Slides uploaded before OCR existed are read the first time someone searches. One
+            # that can't be read is kept as having no words, so it isn't tried again every search.
+            try:
+                apply_ocr(image, PILImage.open(io.BytesIO(image.data)))
+            except Exception as e:
+                app.logger.warning("OCR of image %s failed: %s", image.id, e)
+            if image.ocr_words is None:
+                image.ocr_words, image.ocr_text = "[]", ""
+            db.session.commit()
+
+        words = json.loads(image.ocr_words)
+        starts = find_matches(words, terms)
+        if not starts:
+            continue
+
+        if image.width is None:
+            image.width, image.height = PILImage.open(io.BytesIO(image.data)).size
+            db.session.commit()
+        results.append({
+            "image_id": image.id,
+            "width": image.width,
+            "height": image.height,
+            # A few words either side of the first hit
+            "snippet": " ".join(word["text"] for word in words[max(0, starts[0] - 8):starts[0] + len(terms) + 8]),
+            "matches": [
+                [{key: word[key] for key in ("x", "y", "w", "h")} for word in words[start:start + len(terms)]]
+                for start in starts
+            ],
+        })
+
+    return jsonify({"query": query, "results": results})
+
+# ----------------------
+# Annotations
+# ----------------------
+@app.route("/annotations/<int:image_id>", methods=["GET", "PUT"])
+@login_required
+def annotations(image_id):
+    image = Image.query.get_or_404(image_id)
+    # Everyone in a live session sees the saved strokes; only the owner saves them. Followers'
+    # strokes stay in the session (CollabHub) and never reach this row.
+    if not can_view(image):
+        return jsonify({"error": "Not authorized to view this image's annotations."}), 403
+    if request.method == "PUT" and image.user_id != current_user.id:
+        return jsonify({"error": "Only the deck's owner can save annotations."}), 403
+
+    annotation = image.annotation
+    if request.method == "PUT":
+        data = request.get_json(silent=True) or {}
+        strokes = data.get("strokes")
+        if not isinstance(strokes, list):
+            return jsonify({"error": "Strokes must be a list."}), 400
+
+        # 🔀 Saved from an out-of-date copy (another window, or edits made offline): send back
+        # what's stored so the client can merge and try again instead of overwriting it
+        base_version = data.get("base_version")
+        current_version = (annotation.version or 0) if annotation else 0
+        if base_version is not None and base_version != current_version:
+            stored = json.loads(annotation.strokes) if annotation else []
+            return jsonify({
+                "error": "Annotations were changed elsewhere.",
+                "strokes": stored,
+                "version": current_version,
+            }), 409
+
+        if annotation is None:
+            annotation = Annotation(image=image)
+            db.session.add(annotation)
+        annotation.strokes = json.dumps(strokes)
+        annotation.version = (annotation.version or 0) + 1
+        db.session.commit()
+
+    if annotation is None:
+        return jsonify({"strokes": [], "version": 0})
+    return jsonify({"strokes": json.loads(annotation.strokes), "version": annotation.version})
+
+# ----------------------
+# Keyboard shortcuts
+# ----------------------
+MAX_SHORTCUT_COMMANDS = 200
+MAX_KEYS_PER_COMMAND = 4
+
+def user_shortcuts(user):
+    """A user's rebound shortcuts; commands they never changed keep the defaults in the page."""
+    try:
+        bindings = json.loads(user.shortcuts) if user.shortcuts else {}
+    except ValueError:
+        bindings = {}
+    return bindings if isinstance(bindings, dict) else {}
+
+@app.route("/settings/shortcuts", methods=["GET", "PUT"])
+@login_required
+def shortcuts():
+    if request.method == "PUT":
+        data = request.get_json(silent=True) or {}
+        bindings = data.get("bindings")
+        if not isinstance(bindings, dict) or len(bindings) > MAX_SHORTCUT_COMMANDS:
+            return jsonify({"error": "Bindings must be an object of command ids to key lists."}), 400
+        for command, keys in bindings.items():
+            if (len(command) > 100 or not isinstance(keys, list) or len(keys) > MAX_KEYS_PER_COMMAND
+                    or not all(isinstance(key, str) and 0 < len(key) <= 40 for key in keys)):
+                return jsonify({"error": f"Invalid keys for {command[:100]}."}), 400
+
+        current_user.shortcuts = json.dumps(bindings) if bindings else None
+        db.session.commit()
+
+    return jsonify({"bindings": user_shortcuts(current_user)})
+
+# ----------------------
+# Live sessions
+# ----------------------
+class CollabHub:
+    """Live sessions on shared decks, held in this process: who is connected, where the leader
+    (the deck's owner) is, and what followers have drawn, so late joiners start on the same page
+    with the same strokes. The leader's annotations are saved with the slides as usual; followers'
+    are kept here, one layer per person and slide, and are gone when the session ends.
+    Messages are relayed through each member's send callable, so the hub runs the same with
+    sockets or plain lists."""
+
+    COLORS = ["#e81123", "#0078d4", "#107c10", "#8764b8", "#ff8c00", "#00b7c3", "#c239b3", "#498205"]
+
+    def __init__(self):
+        self.lock = threading.Lock()
+        self.rooms = {}  # deck id -> {"members": {member id: member}, "colors": {user id: color}, "state", "previews", "layers"}
+
+    def join(self, deck_id, user_id, name, leader, send):
+        """Add a connection to a deck's session; returns its member id."""
+        member_id = secrets.token_hex(8)
+        with self.lock:
+            room = self.rooms.setdefault(deck_id, {"members": {}, "colors": {}, "state": None, "previews": {}, "layers": {}})
+            # One color per person, kept across their tabs and reconnects
+            colors = room["colors"]
+            if user_id not in colors:
+                colors[user_id] = self.COLORS[len(colors) % len(self.COLORS)]
+            member = {
+                "id": member_id, "user_id": user_id, "name": name, "color": colors[user_id],
+                "leader": leader, "send": send, "send_lock": threading.Lock(),
+            }
+            room["members"][member_id] = member
+            welcome = {
+                "type": "welcome",
+                "you": self.describe(member),
+                "members": self.presence(room),
+                "state": room["state"],
+                "previews": [dict(preview, source=source) for source, preview in room["previews"].items()],
+                "layers": [
+                    {"imageId": image_id, "user_id": user, "strokes": strokes}
+                    for image_id, layer in room["layers"].items() for user, strokes in layer.items()
+                ],
+            }
+        self.send(member, welcome)
+        self.broadcast(deck_id, {"type": "presence", "members": self.presence_of(deck_id)}, exclude=member_id)
+        return member_id
+
+    def leave(self, deck_id, member_id):
+        with self.lock:
+            room = self.rooms.get(deck_id)
+            if room is None or room["members"].pop(member_id, None) is None:
+                return
+            preview = room["previews"].pop(member_id, None)
+            if not room["members"]:
+                del self.rooms[deck_id]
+                return
+        if preview:
+            self.broadcast(deck_id, {"type": "preview", "imageId": preview["imageId"], "stroke": None, "source": member_id})
+        self.broadcast(deck_id, {"type": "presence", "members": self.presence_of(deck_id)})
+
+    def end(self, deck_id):
+        """The owner stopped sharing: tell everyone and forget the session."""
+        with self.lock:
+            room = self.rooms.pop(deck_id, None)
+        if room:
+            for member in list(room["members"].values()):
+                self.send(member, {"type": "ended"})
+
+    def receive(self, deck_id, member_id, message):
+        """Relay a message from one member to the others."""
+        if not isinstance(message, dict):
+            return
+        kind = message.get("type")
+        with self.lock:
+            room = self.rooms.get(deck_id)
+            member = room and room["members"].get(member_id)
+            if not member:
+                return
+
+            if kind == "view":
+                # 🧭 Only the leader steers; followers' own navigation stays their own
+                if not member["leader"] or not isinstance(message.get("page"), int) or not isinstance(message.get("zoom"), (int, float)):
+                    return
+                room["state"] = {"page": message["page"], "zoom": message["zoom"]}
+                outgoing = {"type": "view", **room["state"]}
+            elif kind == "annotations":
+                strokes = message.get("strokes")
+                if not isinstance(strokes, list):
+                    return
+                image_id = str(message.get("imageId"))
+                if not member["leader"]:
+                    # 🖍️ A follower's strokes live in the session only, never in the owner's saved copy
+                    layer = room["layers"].setdefault(image_id, {})
+                    if strokes:
+                        layer[member["user_id"]] = strokes
+                    else:
+                        layer.pop(member["user_id"], None)
+                outgoing = {
+                    "type": "annotations", "imageId": image_id, "strokes": strokes,
+                    "user_id": member["user_id"], "leader": member["leader"],
+                }
+            elif kind == "preview":
+                stroke = message.get("stroke")
+                preview = {"imageId": str(message.get("imageId")), "stroke": stroke}
+                if stroke:
+                    room["previews"][member_id] = preview
+                else:
+                    room["previews"].pop(member_id, None)
+                outgoing = dict(preview, type="preview", source=member_id)
+            else:
+                return
+        self.broadcast(deck_id, outgoing, exclude=member_id)
+
+    def broadcast(self, deck_id, message, exclude=None):
+        with self.lock:
+            room = self.rooms.get(deck_id)
+            members = [member for member in room["members"].values() if member["id"] != exclude] if room else []
+        for member in members:
+            self.send(member, message)
+
+    def send(self, member, message):
+        try:
+            with member["send_lock"]:
+                member["send"](message)
+        except Exception as e:
+            # The connection's own loop notices it's gone and leaves
+            app.logger.info("Live session send failed: %s", e)
+
+    def describe(self, member):
+        return {"id": member["id"], "user_id": member["user_id"], "name": member["name"], "color": member["color"], "leader": member["leader"]}
+
+    def presence(self, room):
+        # One entry per person, however many tabs they have open
+        people = {}
+        for member in room["members"].values():
+            people.setdefault(member["user_id"], self.describe(member))
+        return list(people.values())
+
+    def presence_of(self, deck_id):
+        with self.lock:
+            room = self.rooms.get(deck_id)
+            return self.presence(room) if room else []
+
+collab_hub = CollabHub()
+
+def share_json(deck):
+    return {
+        "shared": deck.share_token is not None,
+        "url": url_for("join_share", token=deck.share_token, _external=True) if deck.share_token else None,
+    }
+
+@app.route("/decks/<int:deck_id>/share", methods=["POST"])
+@login_required
+def share_deck(deck_id):
+    """Open a live session others can join with the returned link."""
+    deck = user_deck(deck_id)
+    if deck is None:
+        return jsonify({"error": "Deck not found."}), 404
+
+    if deck.share_token is None:
+        deck.share_token = secrets.token_urlsafe(24)
+        db.session.commit()
+    return jsonify(share_json(deck))
+
+@app.route("/decks/<int:deck_id>/unshare", methods=["POST"])
+@login_required
+def unshare_deck(deck_id):
+    """Close the live session; the link stops working and followers lose access."""
+    deck = user_deck(deck_id)
+    if deck is None:
+        return jsonify({"error": "Deck not found."}), 404
+
+    deck.share_token = None
+    db.session.commit()
+    collab_hub.end(deck.id)
+    return jsonify(share_json(deck))
+
+@app.route("/share/<token>")
+@login_required
+def join_share(token):
+    deck = Deck.query.filter_by(share_token=token).first()
+    if deck is None:
+        flash("This session has ended, or the link is wrong.")
+        return redirect(url_for("index"))
+
+    if deck.user_id != current_user.id:
+        # Remembered in the (signed) session cookie; a new token when sharing restarts locks old links out
+        shares = session.get("shares", {})
+        shares[str(deck.id)] = token
+        session["shares"] = shares
+    return redirect(url_for("view_deck", deck_id=deck.id))
+
+@sock.route("/collab/<int:deck_id>")
+def collab(ws, deck_id):
+    """One member's connection to a deck's live session. Messages are JSON both ways:
+    view {page, zoom} from the leader, annotations {imageId, strokes} (the leader's saved strokes,
+    or a follower's session layer) and preview {imageId, stroke} from anyone; the server adds
+    welcome, presence and ended."""
+    deck = viewable_deck(deck_id) if current_user.is_authenticated else None
+    if deck is None or deck.share_token is None:
+        ws.close(reason=1008, message="Not in this session")
+        return
+
+    member_id = collab_hub.join(
+        deck.id,
+        current_user.id,
+        current_user.email.split("@")[0],
+        leader=deck.user_id == current_user.id,
+        send=lambda message: ws.send(json.dumps(message)),
+    )
+    db.session.remove()  # 🔌 the connection stays open; don't hold a database session for it
+    try:
+        while True:
+            data = ws.receive()
+            try:
+                message = json.loads(data)
+            except (TypeError, ValueError):
+                continue
+            collab_hub.receive(deck_id, member_id, message)
+    except ConnectionClosed:
+        pass
+    finally:
+        collab_hub.leave(deck_id, member_id)
 
 # ----------------------
 # AI Chat
 # ----------------------
+def openai_client():
+    return OpenAI(api_key=os.getenv("OPENAI_API_KEY"), base_url=app.config["OPENAI_BASE_URL"])
+
+def sse(data, event=None):
+    """Format one server-sent event."""
+    message = f"event: {event}\n" if event else ""
+    return message + f"data: {json.dumps(data)}\n\n"
+
+SLIDE_PROMPT = (
+    "The user is studying a lecture slide, attached as an image to their latest message. "
+    "If a second image is attached, it is the region of the slide they selected; focus on it."
+)
+
+def valid_region(region):
+    """A lassoed region: at least three [x, y] points in the slide's pixel space."""
+    return (
+        isinstance(region, list) and len(region) >= 3
+        and all(
+            isinstance(point, list) and len(point) == 2
+            and all(isinstance(value, (int, float)) and not isinstance(value, bool) for value in point)
+            for point in region
+        )
+    )
+
+def image_data_url(img):
+    img = img.copy()
+    size = app.config["VISION_MAX_SIZE"]
+    img.thumbnail((size, size))
+    output = io.BytesIO()
+    img.save(output, format="PNG")
+    return "data:image/png;base64," + base64.b64encode(output.getvalue()).decode("ascii")
+
+def slide_question(image, question, region=None):
+    """Message content for a question about a slide: the text, the slide, and the cropped region if any."""
+    slide = PILImage.open(io.BytesIO(image.data)).convert("RGB")
+    content = [
+        {"type": "text", "text": question},
+        {"type": "image_url", "image_url": {"url": image_data_url(slide)}},
+    ]
+
+    if region:
+        # ✂️ Crop to the lasso's bounding box and blank out everything outside the polygon
+        xs = [max(0, min(slide.width, x)) for x, _ in region]
+        ys = [max(0, min(slide.height, y)) for _, y in region]
+        box = (int(min(xs)), int(min(ys)), int(max(xs)) + 1, int(max(ys)) + 1)
+        if box[2] - box[0] > 1 and box[3] - box[1] > 1:
+            mask = PILImage.new("L", slide.size, 0)
+            ImageDraw.Draw(mask).polygon([(x, y) for x, y in zip(xs, ys)], fill=255)
+            cropped = PILImage.new("RGB", slide.size, "white")
+            cropped.paste(slide, mask=mask)
+            content.append({"type": "image_url", "image_url": {"url": image_data_url(cropped.crop(box))}})
+    return content
+
+def chat_json(chat):
+    return {
+        "id": chat.id,
+        "title": chat.title,
+        "image_id": chat.image_id,
+        "updated_at": chat.updated_at.isoformat() if chat.updated_at else None,
+    }
+
+@app.route("/chats")
+@login_required
+def chats():
+    # General chats by default; ?image_id= lists the chats about one slide
+    image_id = request.args.get("image_id", type=int)
+    user_chats = Chat.query.filter_by(user_id=current_user.id, image_id=image_id) \
+        .order_by(Chat.updated_at.desc(), Chat.id.desc()).all()
+    return jsonify([chat_json(chat) for chat in user_chats])
+
+@app.route("/chats/<int:chat_id>")
+@login_required
+def get_chat(chat_id):
+    chat = Chat.query.get_or_404(chat_id)
+    if chat.user_id != current_user.id:
+        return jsonify({"error": "Not authorized to view this chat."}), 403
+
+    return jsonify({
+        **chat_json(chat),
+        "messages": [{"role": message.role, "content": message.content} for message in chat.messages],
+    })
+
+def slide_access_error(image):
+    """Why the current user can't ask about a slide (a JSON error response), or None if they can."""
+    if image is None or image.deleted:
+        return jsonify({"error": "Slide not found."}), 404
+    if not can_view(image):
+        return jsonify({"error": "Not authorized to ask about this slide."}), 403
+    return None
+
 @app.route("/ask", methods=["POST"])
 @login_required
 def ask():
-    data = request.get_json()
-    question = data.get("question", "")
+    data = request.get_json(silent=True) or {}
+    question = str(data.get("question", "")).strip()
+
+    if not question:
+        return jsonify({"error": "Please enter a question."}), 400
+
+    region = data.get("region")
+    if region is not None and not valid_region(region):
+        return jsonify({"error": "The selected region is not a valid polygon."}), 400
+
+    chat_id = data.get("chat_id")
+    if chat_id is None:
+        image = None
+        if data.get("image_id") is not None:
+            image = Image.query.get(data["image_id"]) if isinstance(data["image_id"], int) else None
+            error = slide_access_error(image)
+            if error:
+                return error
+        chat = Chat(title=question[:100], user_id=current_user.id, image=image)
+        db.session.add(chat)
+    else:
+        chat = Chat.query.get(chat_id) if isinstance(chat_id, int) else None
+        if chat is None:
+            return jsonify({"error": "Chat not found."}), 404
+        if chat.user_id != current_user.id:
+            return jsonify({"error": "Not authorized to use this chat."}), 403
+        # 🔒 A chat about a slide ends with access to it: the session closed, or the slide was deleted
+        if chat.image_id is not None:
+            error = slide_access_error(chat.image)
+            if error:
+                return error
+
+    # 💬 Earlier turns go along as context; the question is saved before streaming starts
+    history = [{"role": message.role, "content": message.content} for message in chat.messages]
+    history = history[-app.config["CHAT_HISTORY_LIMIT"]:]
+    model = app.config["OPENAI_MODEL"]
+    if chat.image is not None:
+        # 🖼️ The slide (and the lassoed part of it) goes along with the newest question only
+        try:
+            content = slide_question(chat.image, question, region)
+        except Exception as e:
+            return jsonify({"error": f"Image processing error: {str(e)}"}), 400
+        history = [{"role": "system", "content": SLIDE_PROMPT}] + history + [{"role": "user", "content": content}]
+        model = app.config["OPENAI_VISION_MODEL"]
+    else:
+        history.append({"role": "user", "content": question})
 
-    if not question.strip():
-        return jsonify({"answer": "Please enter a question."})
+    chat.messages.append(ChatMessage(role="user", content=question))
+    chat.updated_at = datetime.utcnow()
+    db.session.commit()
+
+    return Response(
+        stream_with_context(stream_answer(chat.id, history, model)),
+        mimetype="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
+
+def stream_answer(chat_id, history, model):
+    """Relay the completion token by token as server-sent events: start, delta..., then done or error."""
+    yield sse({"chat_id": chat_id}, event="start")
 
+    answer = []
+    stream = None
     try:
-        client = OpenAI(api_key=os.getenv("OPENAI_API_KEY"))
-        response = client.chat.completions.create(
-            model="gpt-4o-mini",
-            messages=[{"role": "user", "content": question}]
+        stream = openai_client().chat.completions.create(
+            model=model,
+            messages=history,
+            stream=True,
         )
-        answer = response.choices[0].message.content
-        return jsonify({"answer": answer})
+        for chunk in stream:
+            delta = chunk.choices[0].delta.content if chunk.choices else None
+            if delta:
+                answer.append(delta)
+                yield sse({"delta": delta})
+        yield sse({"chat_id": chat_id}, event="done")
     except Exception as e:
-        return jsonify({"answer": f"Error: {str(e)}"})
+        yield sse({"error": f"Error: {str(e)}"}, event="error")
+    finally:
+        # ✋ Also runs when the client stops the answer (disconnects); keep what arrived so far
+        if stream is not None:
+            stream.close()
+        if answer:
+            db.session.add(ChatMessage(chat_id=chat_id, role="assistant", content="".join(answer)))
+            db.session.commit()
+
+# ----------------------
+# Command line
+# ----------------------
+@app.cli.command("create-admin")
+@click.argument("email")
+@click.password_option()
+def create_admin(email, password):
+    """Create an admin account, or make an existing account an admin (flask --app main create-admin EMAIL)."""
+    problem = password_problem(password)
+    if problem:
+        raise click.BadParameter(problem, param_hint="password")
+
+    user = Login_Info.query.filter_by(email=email).first()
+    if user is None:
+        user = Login_Info(email=email)
+        db.session.add(user)
+    user.password = hash_password(password)
+    user.is_admin = True
+    user.disabled = False
+    audit("user.role", target_email=email, detail="admin, from the command line")
+    db.session.commit()
+    click.echo(f"{email} is an admin.")
 
 # ----------------------
 # Run app
 # ----------------------
+setup_database()
+
 if __name__ == "__main__":
-    with app.app_context():
-        db.create_all()
     app.run(debug=True)
@@ -0,0 +1,29 @@
+// Admin page: the forms post straight to the server; the ones that can't be undone
+// (deleting users, revoking devices) ask first.
+class AdminConsole {
+    constructor(root) {
+        this.root = root;
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.root.addEventListener('submit', (e) => {
+            const message = e.target.dataset.confirm;
+            if (message && !confirm(message)) {
+                e.preventDefault();
+            }
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const root = document.querySelector('.admin');
+    if (root) {
+        window.adminConsole = new AdminConsole(root);
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdminConsole;
+}
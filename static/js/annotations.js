@@ -0,0 +1,1013 @@
+// Per-slide annotation layer. Strokes are stored as vector data in the slide image's natural
+// pixel space, so they redraw correctly at any zoom level or rotation.
+//
+// Stroke shapes:
+//   pen / highlighter            { points: [[x, y, pressure?], ...] }
+//   line / arrow / rect / ellipse { points: [[x1, y1], [x2, y2]] }
+//   text                          { points: [[x, y]], text, size }
+class AnnotationLayer {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.strokes = new Map();   // image id -> list of strokes
+        this.loading = new Map();   // image id -> pending fetch
+        this.saveTimers = new Map();
+        this.saved = new Map();     // image id -> { version, strokes } last seen on the server
+        this.imageId = null;
+        this.image = null;
+        this.gesture = null;        // in-progress pointer interaction
+        this.textInput = null;
+        this.frame = null;
+        this.previews = new Map();  // remote source -> { imageId, stroke } still being drawn elsewhere
+        this.layers = new Map();    // image id -> Map(source -> strokes): other people's strokes, shown but not saved here
+        // Followers in a live session draw on a layer of their own that stays in the session;
+        // the owner's saved strokes are shown underneath, read-only
+        this.persist = document.body.dataset.owner !== 'false';
+        this.previewSent = false;
+        this.lasso = null;          // pending region selection: { resolve }
+        this.region = null;         // selected region kept on screen: { imageId, stroke }
+        this.pen = { tool: 'pen', color: '#e81123', width: 3 };
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.id = 'drawing-canvas';
+        this.canvas.className = 'annotation-canvas';
+        this.ctx = this.canvas.getContext('2d');
+
+        this.bindEvents();
+        document.addEventListener('slideChanged', () => this.attach());
+        window.addEventListener('resize', () => this.redraw());
+
+        // Saves that failed while offline are sent again once the connection is back
+        this.offline = this.persist ? viewer.offline || null : null;
+        if (this.offline) {
+            this.offline.onSync(change => this.push(change)
+                .then(data => this.settle(change, data))
+                .catch(error => {
+                    if (error.retryable) throw error;
+                    // The slide is gone or no longer ours; nothing left to sync
+                    console.error('Syncing annotations failed:', error);
+                }));
+        }
+    }
+
+    bindEvents() {
+        // Pointer Events cover mouse, touch and stylus alike
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', () => this.finishGesture(false));
+        this.canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+    }
+
+    // Move the overlay onto the slide that is currently shown
+    attach() {
+        const slide = document.querySelector('.slide.current-slide');
+        const content = slide && slide.querySelector('.slide-content');
+        if (!content) return;
+
+        this.commitText();
+        this.finishGesture(false);
+        content.appendChild(this.canvas);
+        this.imageId = slide.dataset.imageId;
+        this.image = content.querySelector('img');
+
+        if (!this.image.complete) {
+            this.image.addEventListener('load', () => this.redraw(), { once: true });
+        }
+        this.load(this.imageId).then(() => this.redraw());
+        this.redraw();
+    }
+
+    enable() {
+        this.canvas.classList.add('drawing');
+    }
+
+    disable() {
+        this.commitText();
+        this.finishGesture(false);
+        this.canvas.classList.remove('drawing');
+    }
+
+    setTool(tool) {
+        this.commitText();
+        this.pen.tool = tool;
+        this.canvas.dataset.tool = tool;
+    }
+
+    // Persistence. Each slide remembers the server version its strokes were edited from, so a save
+    // made from an out-of-date copy (another window, or edits made offline) is merged, not overwritten.
+    load(imageId) {
+        if (!this.persist) return this.loadShared(imageId);
+        if (this.strokes.has(imageId)) return Promise.resolve();
+        if (!this.loading.has(imageId)) {
+            const request = Promise.all([
+                fetch(`/annotations/${imageId}`)
+                    .then(response => response.ok ? response.json() : { strokes: [], version: 0 })
+                    .catch(error => {
+                        console.error('Loading annotations failed:', error);
+                        return { strokes: [], version: 0 };
+                    }),
+                this.offline ? this.offline.pending(imageId) : null
+            ])
+                .then(([data, queued]) => {
+                    // Edits made offline and not synced yet win over the server's (or the cache's) copy
+                    if (queued) {
+                        this.saved.set(imageId, { version: queued.version, strokes: queued.base });
+                        this.strokes.set(imageId, queued.strokes);
+                    } else {
+                        this.saved.set(imageId, { version: data.version || 0, strokes: data.strokes });
+                        this.strokes.set(imageId, AnnotationLayer.copy(data.strokes));
+                    }
+                })
+                .finally(() => this.loading.delete(imageId));
+            this.loading.set(imageId, request);
+        }
+        return this.loading.get(imageId);
+    }
+
+    // Followers: the owner's saved strokes become the 'saved' layer, unless a newer copy came in
+    // over the session already, and the follower's own strokes start out empty
+    loadShared(imageId) {
+        if (this.saved.has(imageId)) return Promise.resolve();
+        if (!this.loading.has(imageId)) {
+            const request = fetch(`/annotations/${imageId}`)
+                .then(response => response.ok ? response.json() : { strokes: [], version: 0 })
+                .catch(error => {
+                    console.error('Loading annotations failed:', error);
+                    return { strokes: [], version: 0 };
+                })
+                .then(data => {
+                    this.saved.set(imageId, { version: data.version || 0, strokes: data.strokes });
+                    if (!this.layer(imageId).has('saved')) this.layer(imageId).set('saved', data.strokes);
+                    if (!this.strokes.has(imageId)) this.strokes.set(imageId, []);
+                })
+                .finally(() => this.loading.delete(imageId));
+            this.loading.set(imageId, request);
+        }
+        return this.loading.get(imageId);
+    }
+
+    scheduleSave(imageId) {
+        if (!this.persist) return;
+        clearTimeout(this.saveTimers.get(imageId));
+        this.saveTimers.set(imageId, setTimeout(() => this.save(imageId), 400));
+    }
+
+    save(imageId) {
+        this.saveTimers.delete(imageId);
+        const saved = this.saved.get(imageId) || { version: 0, strokes: [] };
+        const change = {
+            imageId,
+            strokes: AnnotationLayer.copy(this.strokes.get(imageId) || []),
+            base: saved.strokes,
+            version: saved.version,
+            takenAt: Date.now()
+        };
+
+        return this.push(change)
+            .then(data => this.settle(change, data))
+            .catch(error => {
+                if (error.retryable && this.offline) {
+                    // Kept in IndexedDB until the connection is back
+                    return this.offline.queue(change);
+                }
+                console.error('Saving annotations failed:', error);
+            });
+    }
+
+    // PUT a change, merging it into the stored copy and trying again if that moved on meanwhile.
+    // Rejections carry error.retryable when the server couldn't be reached.
+    push(change, attempts = 3) {
+        return fetch(`/annotations/${change.imageId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ strokes: change.strokes, base_version: change.version })
+        })
+            .catch(() => {
+                const error = new Error('Network error');
+                error.retryable = true;
+                throw error;
+            })
+            .then(response => response.json().catch(() => ({})).then(data => {
+                if (response.status === 409 && attempts > 1) {
+                    const strokes = AnnotationLayer.merge(change.base, change.strokes, data.strokes);
+                    return this.push({ ...change, strokes, base: data.strokes, version: data.version }, attempts - 1);
+                }
+                if (!response.ok) {
+                    const error = new Error(data.error || `Saving annotations failed with status ${response.status}`);
+                    error.retryable = response.status >= 500 || response.status === 429;
+                    throw error;
+                }
+                return data;
+            }));
+    }
+
+    // A change made it to the server as `data`; if that includes strokes from elsewhere, bring them in
+    settle(change, data) {
+        const imageId = change.imageId;
+        const saved = this.saved.get(imageId);
+        if (!saved || data.version > saved.version) {
+            this.saved.set(imageId, { version: data.version, strokes: data.strokes });
+        }
+        if (this.offline) {
+            this.offline.dequeue(imageId, change.takenAt);
+            this.offline.cacheAnnotations(imageId, data);
+        }
+
+        const current = this.strokes.get(imageId);
+        if (current && JSON.stringify(data.strokes) !== JSON.stringify(change.strokes)) {
+            this.strokes.set(imageId, AnnotationLayer.merge(change.strokes, current, data.strokes));
+            this.remoteChanged(imageId);
+        }
+    }
+
+    static copy(strokes) {
+        return JSON.parse(JSON.stringify(strokes));
+    }
+
+    // Three-way merge by stroke id: what changed between base and mine is replayed onto theirs.
+    // Strokes deleted here stay deleted, strokes edited or added here win, anything else is theirs.
+    static merge(base, mine, theirs) {
+        const key = stroke => stroke.id || JSON.stringify(stroke);
+        const before = new Map(base.map(stroke => [key(stroke), JSON.stringify(stroke)]));
+        const own = new Map(mine.map(stroke => [key(stroke), stroke]));
+
+        const merged = theirs
+            .filter(stroke => !before.has(key(stroke)) || own.has(key(stroke)))
+            .map(stroke => {
+                const ours = own.get(key(stroke));
+                if (!ours) return stroke;
+                // Ours when edited here, or when it's the same anyway (undo history holds on to it)
+                const edited = JSON.stringify(ours) !== before.get(key(stroke));
+                return edited || JSON.stringify(ours) === JSON.stringify(stroke) ? ours : stroke;
+            });
+        const present = new Set(merged.map(key));
+        mine.forEach(stroke => {
+            if (!before.has(key(stroke)) && !present.has(key(stroke))) {
+                merged.push(stroke);
+            }
+        });
+        return merged;
+    }
+
+    // Stroke mutations; every change to a slide's annotations goes through these
+    addStroke(imageId, stroke, index) {
+        const strokes = this.strokes.get(imageId);
+        strokes.splice(index === undefined ? strokes.length : index, 0, stroke);
+        this.changed(imageId);
+    }
+
+    removeStroke(imageId, strokeId) {
+        const strokes = this.strokes.get(imageId);
+        const index = strokes.findIndex(stroke => stroke.id === strokeId);
+        if (index === -1) return null;
+
+        const [removed] = strokes.splice(index, 1);
+        this.changed(imageId);
+        return { stroke: removed, index };
+    }
+
+    updateStroke(imageId, strokeId, changes) {
+        const stroke = this.strokes.get(imageId).find(item => item.id === strokeId);
+        if (!stroke) return;
+
+        Object.assign(stroke, changes);
+        this.changed(imageId);
+    }
+
+    // Record an applied change in the viewer's undo history; undoing it brings its slide back into view
+    record(label, imageId, undo, redo) {
+        this.viewer.history.push({
+            label,
+            undo: () => {
+                this.viewer.showImage(imageId);
+                undo();
+            },
+            redo: () => {
+                this.viewer.showImage(imageId);
+                redo();
+            }
+        });
+    }
+
+    changed(imageId) {
+        this.scheduleSave(imageId);
+        if (imageId === this.imageId) {
+            this.redraw();
+        }
+        document.dispatchEvent(new CustomEvent('annotationsChanged', { detail: { imageId } }));
+    }
+
+    createId() {
+        return window.crypto && crypto.randomUUID
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // Pointer handling
+    handlePointerDown(e) {
+        if (this.lasso && e.isPrimary && this.image.naturalWidth) {
+            e.preventDefault();
+            this.canvas.setPointerCapture(e.pointerId);
+            this.gesture = {
+                tool: 'lasso',
+                stroke: { tool: 'lasso', color: '#2563eb', width: this.toSlideLength(2), points: [this.toSlidePoint(e)] }
+            };
+            return;
+        }
+        if (!this.viewer.isAnnotationMode || !e.isPrimary) return;
+        if (!this.strokes.has(this.imageId) || !this.image.naturalWidth) return;
+
+        e.preventDefault();
+        this.commitText();
+
+        const point = this.toSlidePoint(e);
+        const tool = this.pen.tool;
+
+        if (tool === 'text') {
+            const hit = this.hitTest(point, 'text');
+            this.openTextInput(hit ? hit.points[0] : point, hit);
+            return;
+        }
+
+        this.canvas.setPointerCapture(e.pointerId);
+
+        if (tool === 'eraser') {
+            this.gesture = { tool, removed: [] };
+            this.eraseAt(point);
+            return;
+        }
+
+        if (tool === 'move') {
+            const hit = this.hitTest(point);
+            if (hit) {
+                this.gesture = { tool, stroke: hit, origin: point, original: hit.points.map(p => p.slice()) };
+            }
+            return;
+        }
+
+        const stroke = {
+            id: this.createId(),
+            tool,
+            color: this.pen.color,
+            width: this.toSlideLength(this.pen.width),
+            points: tool === 'pen' || tool === 'highlighter'
+                ? [this.withPressure(point, e)]
+                : [point, point.slice()]
+        };
+        this.gesture = { tool, stroke };
+        this.requestRedraw();
+    }
+
+    handlePointerMove(e) {
+        if (!this.gesture || !e.isPrimary) return;
+
+        const point = this.toSlidePoint(e);
+        const { tool, stroke } = this.gesture;
+
+        if (tool === 'eraser') {
+            this.eraseAt(point);
+        } else if (tool === 'move') {
+            const dx = point[0] - this.gesture.origin[0];
+            const dy = point[1] - this.gesture.origin[1];
+            stroke.points = this.gesture.original.map(([x, y, ...rest]) => [x + dx, y + dy, ...rest]);
+            this.gesture.moved = true;
+            this.requestRedraw();
+        } else if (tool === 'pen' || tool === 'highlighter' || tool === 'lasso') {
+            // Coalesced events give stylus input its full sampling rate
+            const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+            (events.length ? events : [e]).forEach(event => {
+                stroke.points.push(this.withPressure(this.toSlidePoint(event), event));
+            });
+            this.requestRedraw();
+        } else {
+            stroke.points[1] = e.shiftKey ? this.constrain(stroke.points[0], point, tool) : point;
+            this.requestRedraw();
+        }
+    }
+
+    handlePointerUp(e) {
+        if (!this.gesture || !e.isPrimary) return;
+        this.finishGesture(true);
+    }
+
+    handleDoubleClick(e) {
+        if (!this.viewer.isAnnotationMode || this.pen.tool !== 'move') return;
+
+        const hit = this.hitTest(this.toSlidePoint(e), 'text');
+        if (hit) {
+            this.openTextInput(hit.points[0], hit);
+        }
+    }
+
+    // Apply the in-progress gesture as one undoable action, or drop it when it was cancelled
+    finishGesture(commit) {
+        const gesture = this.gesture;
+        const imageId = this.imageId;
+        this.gesture = null;
+        if (!gesture) return;
+
+        if (gesture.tool === 'lasso') {
+            this.finishLasso(commit && gesture.stroke.points.length > 2 ? gesture.stroke : null);
+        } else if (gesture.tool === 'eraser') {
+            // Strokes are already gone; record them even when the pointer was cancelled
+            const removed = gesture.removed;
+            if (removed.length > 0) {
+                this.record('erase', imageId,
+                    () => removed.slice().reverse().forEach(({ stroke, index }) => this.addStroke(imageId, stroke, index)),
+                    () => removed.forEach(({ stroke }) => this.removeStroke(imageId, stroke.id)));
+            }
+        } else if (gesture.tool === 'move') {
+            const stroke = gesture.stroke;
+            const original = gesture.original;
+            const moved = stroke.points;
+            stroke.points = original;
+
+            if (commit && gesture.moved) {
+                this.updateStroke(imageId, stroke.id, { points: moved });
+                this.record('move shape', imageId,
+                    () => this.updateStroke(imageId, stroke.id, { points: original }),
+                    () => this.updateStroke(imageId, stroke.id, { points: moved }));
+            }
+        } else if (commit) {
+            const stroke = gesture.stroke;
+            const index = this.strokes.get(imageId).length;
+            this.addStroke(imageId, stroke);
+            this.record(`add ${stroke.tool}`, imageId,
+                () => this.removeStroke(imageId, stroke.id),
+                () => this.addStroke(imageId, stroke, index));
+        }
+        this.requestRedraw();
+    }
+
+    // Region selection ("ask about this slide"): resolves with the lassoed polygon in natural
+    // image pixels, or null when cancelled. The region stays outlined until clearRegion().
+    selectRegion() {
+        this.finishLasso(null);
+        this.clearRegion();
+        this.commitText();
+        this.canvas.classList.add('lasso');
+        return new Promise(resolve => {
+            this.lasso = { resolve };
+        });
+    }
+
+    finishLasso(stroke) {
+        if (!this.lasso) return;
+
+        const { resolve } = this.lasso;
+        this.lasso = null;
+        this.canvas.classList.remove('lasso');
+        if (stroke) {
+            this.region = { imageId: this.imageId, stroke };
+        }
+        resolve(stroke ? stroke.points.map(([x, y]) => [x, y]) : null);
+    }
+
+    clearRegion() {
+        if (!this.region) return;
+        this.region = null;
+        this.requestRedraw();
+    }
+
+    withPressure(point, e) {
+        // Only styluses report meaningful pressure; mice always report 0.5 while pressed
+        if (e.pointerType === 'pen' && e.pressure > 0) {
+            return [point[0], point[1], Math.round(e.pressure * 100) / 100];
+        }
+        return point;
+    }
+
+    // Shift snaps lines to 45° steps and rectangles/ellipses to squares/circles
+    constrain(start, point, tool) {
+        const dx = point[0] - start[0];
+        const dy = point[1] - start[1];
+
+        if (tool === 'line' || tool === 'arrow') {
+            const angle = Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) * (Math.PI / 4);
+            const length = Math.hypot(dx, dy);
+            return [start[0] + Math.cos(angle) * length, start[1] + Math.sin(angle) * length];
+        }
+
+        const size = Math.max(Math.abs(dx), Math.abs(dy));
+        return [start[0] + Math.sign(dx) * size, start[1] + Math.sign(dy) * size];
+    }
+
+    eraseAt(point) {
+        const tolerance = this.toSlideLength(6);
+        let hit = this.hitTest(point, null, tolerance);
+        while (hit) {
+            this.gesture.removed.push(this.removeStroke(this.imageId, hit.id));
+            hit = this.hitTest(point, null, tolerance);
+        }
+    }
+
+    // Text notes
+    openTextInput(point, existing) {
+        const input = document.createElement('textarea');
+        input.className = 'annotation-text-input';
+        input.value = existing ? existing.text : '';
+
+        const ratio = this.canvas.offsetWidth / AnnotationLayer.slideSize(this.image).width;
+        const size = existing ? existing.size : this.toSlideLength(12 + this.pen.width * 2);
+        input.style.left = `${point[0] * ratio}px`;
+        input.style.top = `${point[1] * ratio}px`;
+        input.style.fontSize = `${size * ratio}px`;
+        input.style.color = existing ? existing.color : this.pen.color;
+
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation(); // keep viewer shortcuts out of the note
+            if (e.key === 'Escape' || (e.key === 'Enter' && (e.ctrlKey || e.metaKey))) {
+                e.preventDefault();
+                this.commitText();
+            }
+        });
+        input.addEventListener('blur', () => this.commitText());
+
+        // The note being edited is drawn by the textarea instead of the canvas
+        this.textInput = { element: input, point, size, existing };
+        if (existing) {
+            this.redraw();
+        }
+
+        this.canvas.parentElement.appendChild(input);
+        input.focus();
+    }
+
+    commitText() {
+        if (!this.textInput) return;
+
+        const { element, point, size, existing } = this.textInput;
+        const imageId = this.imageId;
+        const text = element.value.trim();
+        this.textInput = null;
+        element.remove();
+
+        if (existing) {
+            const previous = existing.text;
+            if (!text) {
+                const { index } = this.removeStroke(imageId, existing.id);
+                this.record('delete text', imageId,
+                    () => this.addStroke(imageId, existing, index),
+                    () => this.removeStroke(imageId, existing.id));
+            } else if (text !== previous) {
+                this.updateStroke(imageId, existing.id, { text });
+                this.record('edit text', imageId,
+                    () => this.updateStroke(imageId, existing.id, { text: previous }),
+                    () => this.updateStroke(imageId, existing.id, { text }));
+            } else {
+                this.redraw();
+            }
+        } else if (text) {
+            const stroke = {
+                id: this.createId(),
+                tool: 'text',
+                color: this.pen.color,
+                size,
+                text,
+                points: [point]
+            };
+            const index = this.strokes.get(imageId).length;
+            this.addStroke(imageId, stroke);
+            this.record('add text', imageId,
+                () => this.removeStroke(imageId, stroke.id),
+                () => this.addStroke(imageId, stroke, index));
+        }
+    }
+
+    // Coordinate conversion
+
+    // Convert a pointer position to natural image pixels, undoing the zoom and rotation
+    // applied to .slide-content by applyZoom()
+    toSlidePoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const angle = -this.viewer.rotation * Math.PI / 180;
+        const scale = this.viewer.zoomLevel / 100;
+        const dx = e.clientX - (rect.left + rect.width / 2);
+        const dy = e.clientY - (rect.top + rect.height / 2);
+
+        const x = (dx * Math.cos(angle) - dy * Math.sin(angle)) / scale + this.canvas.offsetWidth / 2;
+        const y = (dx * Math.sin(angle) + dy * Math.cos(angle)) / scale + this.canvas.offsetHeight / 2;
+
+        const { width, height } = AnnotationLayer.slideSize(this.image);
+        return [
+            Math.round(x * width / this.canvas.offsetWidth * 10) / 10,
+            Math.round(y * height / this.canvas.offsetHeight * 10) / 10
+        ];
+    }
+
+    // Convert an on-screen length (e.g. pen width) to natural image pixels
+    toSlideLength(length) {
+        const scale = this.viewer.zoomLevel / 100;
+        return length * AnnotationLayer.slideSize(this.image).width / (this.canvas.offsetWidth * scale);
+    }
+
+    // Hit testing, topmost stroke first
+    hitTest(point, tool, tolerance = this.toSlideLength(4)) {
+        const strokes = this.strokes.get(this.imageId) || [];
+        for (let i = strokes.length - 1; i >= 0; i--) {
+            const stroke = strokes[i];
+            if (tool && stroke.tool !== tool) continue;
+            if (AnnotationLayer.distanceTo(stroke, point, this.ctx) <= tolerance + (stroke.width || 0) / 2) {
+                return stroke;
+            }
+        }
+        return null;
+    }
+
+    static distanceTo(stroke, point, ctx) {
+        if (stroke.tool === 'text') {
+            const box = AnnotationLayer.textBounds(stroke, ctx);
+            const dx = Math.max(box.x - point[0], 0, point[0] - (box.x + box.width));
+            const dy = Math.max(box.y - point[1], 0, point[1] - (box.y + box.height));
+            return Math.hypot(dx, dy);
+        }
+
+        const outline = AnnotationLayer.outline(stroke);
+        if (outline.length === 1) {
+            return Math.hypot(point[0] - outline[0][0], point[1] - outline[0][1]);
+        }
+
+        let distance = Infinity;
+        for (let i = 1; i < outline.length; i++) {
+            distance = Math.min(distance, AnnotationLayer.distanceToSegment(point, outline[i - 1], outline[i]));
+        }
+        return distance;
+    }
+
+    static distanceToSegment(p, a, b) {
+        const dx = b[0] - a[0];
+        const dy = b[1] - a[1];
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0
+            : Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSquared));
+        return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+    }
+
+    // Polyline approximation of a stroke, used for hit testing
+    static outline(stroke) {
+        const [a, b] = stroke.points;
+        switch (stroke.tool) {
+            case 'rect':
+                return [a, [b[0], a[1]], b, [a[0], b[1]], a];
+            case 'ellipse': {
+                const cx = (a[0] + b[0]) / 2;
+                const cy = (a[1] + b[1]) / 2;
+                const rx = Math.abs(b[0] - a[0]) / 2;
+                const ry = Math.abs(b[1] - a[1]) / 2;
+                return Array.from({ length: 33 }, (_, i) => {
+                    const angle = (i / 32) * Math.PI * 2;
+                    return [cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)];
+                });
+            }
+            default:
+                return stroke.points;
+        }
+    }
+
+    static textBounds(stroke, ctx) {
+        const lines = stroke.text.split('\n');
+        ctx.save();
+        ctx.font = AnnotationLayer.font(stroke.size);
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+        ctx.restore();
+        return { x: stroke.points[0][0], y: stroke.points[0][1], width, height: lines.length * stroke.size * 1.25 };
+    }
+
+    static font(size) {
+        return `${size}px "Segoe UI", Tahoma, Geneva, Verdana, sans-serif`;
+    }
+
+    // Render a slide image with its annotations flattened on top, for export and printing
+    renderSlide(imageId, { annotations = true, rotation = 0, maxSize = 3000 } = {}) {
+        return Promise.all([
+            AnnotationLayer.loadImage(`/image/${imageId}`),
+            annotations ? this.load(imageId) : null
+        ]).then(([img]) => {
+            const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+            const width = Math.round(img.naturalWidth * scale);
+            const height = Math.round(img.naturalHeight * scale);
+            const sideways = rotation % 180 !== 0;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = sideways ? height : width;
+            canvas.height = sideways ? width : height;
+
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff'; // JPEG has no transparency
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            ctx.translate(canvas.width / 2, canvas.height / 2);
+            ctx.rotate(rotation * Math.PI / 180);
+            ctx.translate(-width / 2, -height / 2);
+            ctx.drawImage(img, 0, 0, width, height);
+
+            if (annotations) {
+                ctx.scale(scale, scale);
+                this.layerStrokes(imageId).concat(this.strokes.get(String(imageId)) || [])
+                    .forEach(stroke => AnnotationLayer.drawStroke(ctx, stroke));
+            }
+            return canvas;
+        });
+    }
+
+    // Read-only overlay for slides other than the current one (scroll mode shows many at once);
+    // the interactive canvas covers the current slide
+    paintStatic(slide) {
+        const imageId = slide.dataset.imageId;
+        const content = slide.querySelector('.slide-content');
+        const img = content && content.querySelector('img');
+        if (!img) return;
+
+        if (!img.naturalWidth) {
+            img.addEventListener('load', () => this.paintStatic(slide), { once: true });
+            return;
+        }
+
+        this.load(imageId).then(() => {
+            const strokes = this.visibleStrokes(imageId);
+            let canvas = content.querySelector('.annotation-static');
+            if (strokes.length === 0 || !img.naturalWidth) {
+                canvas?.remove();
+                return;
+            }
+            if (!canvas) {
+                canvas = document.createElement('canvas');
+                canvas.className = 'annotation-static';
+                content.appendChild(canvas);
+            }
+
+            const scale = this.viewer.zoomLevel / 100;
+            const dpr = window.devicePixelRatio || 1;
+            canvas.width = Math.max(1, Math.round(img.clientWidth * scale * dpr));
+            canvas.height = Math.max(1, Math.round(img.clientHeight * scale * dpr));
+
+            const size = AnnotationLayer.slideSize(img);
+            const ctx = canvas.getContext('2d');
+            ctx.setTransform(canvas.width / size.width, 0, 0, canvas.height / size.height, 0, 0);
+            strokes.forEach(stroke => AnnotationLayer.drawStroke(ctx, stroke));
+        });
+    }
+
+    clearStatic(slide) {
+        slide.querySelector('.annotation-static')?.remove();
+    }
+
+    // Text of the notes placed on a slide, in the order they were added
+    textNotes(imageId) {
+        return (this.strokes.get(String(imageId)) || [])
+            .filter(stroke => stroke.tool === 'text')
+            .map(stroke => stroke.text);
+    }
+
+    // Strokes are kept in the pixels of the original upload, whichever rendition is on screen
+    static slideSize(img) {
+        const slide = img.closest('.slide');
+        const width = parseInt(slide?.dataset.width);
+        const height = parseInt(slide?.dataset.height);
+        return width && height ? { width, height } : { width: img.naturalWidth, height: img.naturalHeight };
+    }
+
+    static loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error(`Could not load ${src}`));
+            img.src = src;
+        });
+    }
+
+    // Rendering
+    resize() {
+        const scale = this.viewer.zoomLevel / 100;
+        const dpr = window.devicePixelRatio || 1;
+        const width = Math.max(1, Math.round(this.image.clientWidth * scale * dpr));
+        const height = Math.max(1, Math.round(this.image.clientHeight * scale * dpr));
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    requestRedraw() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.redraw();
+            this.emitPreview();
+        });
+    }
+
+    // Let other views (presenter window, collaborators) show a stroke while it is being drawn
+    emitPreview() {
+        const drawing = this.gesture && !['move', 'eraser', 'lasso'].includes(this.gesture.tool);
+        const stroke = drawing ? this.gesture.stroke : null;
+        if (!stroke && !this.previewSent) return;
+
+        this.previewSent = Boolean(stroke);
+        document.dispatchEvent(new CustomEvent('annotationPreview', {
+            detail: { imageId: this.imageId, stroke }
+        }));
+    }
+
+    // Changes made in another window or by another user; shown and cached but not saved here
+    applyRemote(imageId, strokes) {
+        this.strokes.set(String(imageId), strokes);
+        this.remoteChanged(String(imageId));
+    }
+
+    setPreview(source, imageId, stroke) {
+        if (stroke) {
+            this.previews.set(source, { imageId: String(imageId), stroke });
+        } else {
+            this.previews.delete(source);
+        }
+        this.remoteChanged(String(imageId));
+    }
+
+    remoteChanged(imageId) {
+        if (imageId === this.imageId) {
+            this.requestRedraw();
+        }
+        document.dispatchEvent(new CustomEvent('annotationsChanged', { detail: { imageId, remote: true } }));
+    }
+
+    // Someone else's strokes in a live session; an empty list removes their layer
+    setLayer(source, imageId, strokes) {
+        const layer = this.layer(String(imageId));
+        if (strokes && strokes.length > 0) {
+            layer.set(String(source), strokes);
+        } else {
+            layer.delete(String(source));
+        }
+        this.remoteChanged(String(imageId));
+    }
+
+    // The session ended: other people's strokes go, the saved ones stay
+    clearLayers() {
+        const imageIds = Array.from(this.layers.keys());
+        this.layers.forEach(layer => Array.from(layer.keys())
+            .filter(source => source !== 'saved')
+            .forEach(source => layer.delete(source)));
+        imageIds.forEach(imageId => this.remoteChanged(imageId));
+    }
+
+    layer(imageId) {
+        if (!this.layers.has(imageId)) this.layers.set(imageId, new Map());
+        return this.layers.get(imageId);
+    }
+
+    layerStrokes(imageId) {
+        const layer = this.layers.get(String(imageId));
+        return layer ? [].concat(...layer.values()) : [];
+    }
+
+    // Everything drawn on a slide: other people's layers, then this user's strokes and live previews
+    visibleStrokes(imageId) {
+        return this.layerStrokes(imageId)
+            .concat(this.strokes.get(String(imageId)) || [])
+            .concat(this.previewStrokes(imageId));
+    }
+
+    previewStrokes(imageId) {
+        return Array.from(this.previews.values())
+            .filter(preview => preview.imageId === String(imageId))
+            .map(preview => preview.stroke);
+    }
+
+    redraw() {
+        if (!this.image || !this.image.naturalWidth) return;
+
+        this.resize();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        const { width, height } = AnnotationLayer.slideSize(this.image);
+        this.ctx.setTransform(
+            this.canvas.width / width, 0,
+            0, this.canvas.height / height,
+            0, 0
+        );
+
+        const editing = this.textInput && this.textInput.existing;
+        this.layerStrokes(this.imageId).forEach(stroke => AnnotationLayer.drawStroke(this.ctx, stroke));
+        (this.strokes.get(this.imageId) || []).forEach(stroke => {
+            if (stroke !== editing) AnnotationLayer.drawStroke(this.ctx, stroke);
+        });
+        this.previewStrokes(this.imageId).forEach(stroke => AnnotationLayer.drawStroke(this.ctx, stroke));
+        if (this.region && this.region.imageId === this.imageId) {
+            AnnotationLayer.drawStroke(this.ctx, this.region.stroke);
+        }
+        if (this.gesture && this.gesture.stroke && this.gesture.tool !== 'move') {
+            AnnotationLayer.drawStroke(this.ctx, this.gesture.stroke);
+        }
+    }
+
+    // Draws a stroke onto any 2D context already scaled to natural image pixels
+    static drawStroke(ctx, stroke) {
+        ctx.save();
+        ctx.strokeStyle = stroke.color;
+        ctx.fillStyle = stroke.color;
+        ctx.lineWidth = stroke.width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        switch (stroke.tool) {
+            case 'highlighter':
+                ctx.globalAlpha = 0.35;
+                ctx.globalCompositeOperation = 'multiply';
+                ctx.lineCap = 'butt';
+                AnnotationLayer.drawFreehand(ctx, stroke);
+                break;
+            case 'line':
+            case 'arrow':
+                AnnotationLayer.drawLine(ctx, stroke);
+                break;
+            case 'rect': {
+                const [a, b] = stroke.points;
+                ctx.strokeRect(Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.abs(b[0] - a[0]), Math.abs(b[1] - a[1]));
+                break;
+            }
+            case 'ellipse': {
+                const [a, b] = stroke.points;
+                ctx.beginPath();
+                ctx.ellipse((a[0] + b[0]) / 2, (a[1] + b[1]) / 2, Math.abs(b[0] - a[0]) / 2, Math.abs(b[1] - a[1]) / 2, 0, 0, Math.PI * 2);
+                ctx.stroke();
+                break;
+            }
+            case 'text':
+                ctx.font = AnnotationLayer.font(stroke.size);
+                ctx.textBaseline = 'top';
+                stroke.text.split('\n').forEach((line, i) => {
+                    ctx.fillText(line, stroke.points[0][0], stroke.points[0][1] + i * stroke.size * 1.25);
+                });
+                break;
+            case 'lasso':
+                // Region selection outline; never saved as a stroke
+                ctx.setLineDash([stroke.width * 3, stroke.width * 2]);
+                ctx.beginPath();
+                stroke.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+                ctx.closePath();
+                ctx.globalAlpha = 0.12;
+                ctx.fill();
+                ctx.globalAlpha = 1;
+                ctx.stroke();
+                break;
+            default:
+                AnnotationLayer.drawFreehand(ctx, stroke);
+        }
+        ctx.restore();
+    }
+
+    static drawFreehand(ctx, stroke) {
+        const points = stroke.points;
+
+        if (points.length === 1) {
+            ctx.beginPath();
+            ctx.arc(points[0][0], points[0][1], stroke.width / 2, 0, Math.PI * 2);
+            ctx.fill();
+            return;
+        }
+
+        // Pressure-sensitive strokes vary width per segment
+        if (points[0].length > 2) {
+            for (let i = 1; i < points.length; i++) {
+                const pressure = points[i][2] === undefined ? 0.5 : points[i][2];
+                ctx.lineWidth = stroke.width * Math.max(0.2, pressure * 2);
+                ctx.beginPath();
+                ctx.moveTo(points[i - 1][0], points[i - 1][1]);
+                ctx.lineTo(points[i][0], points[i][1]);
+                ctx.stroke();
+            }
+            return;
+        }
+
+        ctx.beginPath();
+        ctx.moveTo(points[0][0], points[0][1]);
+        points.slice(1).forEach(point => ctx.lineTo(point[0], point[1]));
+        ctx.stroke();
+    }
+
+    static drawLine(ctx, stroke) {
+        const [a, b] = stroke.points;
+        ctx.beginPath();
+        ctx.moveTo(a[0], a[1]);
+        ctx.lineTo(b[0], b[1]);
+        ctx.stroke();
+
+        if (stroke.tool === 'arrow' && (a[0] !== b[0] || a[1] !== b[1])) {
+            const angle = Math.atan2(b[1] - a[1], b[0] - a[0]);
+            const head = Math.max(stroke.width * 4, 8);
+            ctx.beginPath();
+            ctx.moveTo(b[0], b[1]);
+            ctx.lineTo(b[0] - head * Math.cos(angle - Math.PI / 6), b[1] - head * Math.sin(angle - Math.PI / 6));
+            ctx.lineTo(b[0] - head * Math.cos(angle + Math.PI / 6), b[1] - head * Math.sin(angle + Math.PI / 6));
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnnotationLayer;
+}
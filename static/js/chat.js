@@ -0,0 +1,278 @@
+// AI chat in the search box. Answers stream from /ask as server-sent events and are shown
+// token by token in a conversation thread; chats are stored per user on the server.
+// In slide mode the question is about the slide on screen (optionally a lassoed region of it),
+// and each slide keeps its own chats, which come back when navigating to it again.
+class ChatPanel {
+    constructor(form, container, viewer) {
+        this.form = form;
+        this.input = form.querySelector('input[type="text"]');
+        this.container = container;
+        this.viewer = viewer;
+        this.chatId = null;
+        this.controller = null; // aborts the answer currently streaming
+        this.slideMode = false;
+        this.imageId = null;    // slide the thread belongs to in slide mode
+        this.region = null;     // { imageId, points } lassoed on the current slide
+
+        this.container.innerHTML = `
+            <div class="chat-thread"></div>
+            <div class="chat-actions">
+                <select class="chat-select" aria-label="Saved chats"></select>
+                <button type="button" class="chat-new">New chat</button>
+                <button type="button" class="chat-slide" aria-pressed="false">About this slide</button>
+                <button type="button" class="chat-region" hidden>Select region</button>
+                <button type="button" class="chat-stop" hidden>Stop</button>
+            </div>
+        `;
+        this.thread = this.container.querySelector('.chat-thread');
+        this.select = this.container.querySelector('.chat-select');
+        this.stopBtn = this.container.querySelector('.chat-stop');
+        this.slideBtn = this.container.querySelector('.chat-slide');
+        this.regionBtn = this.container.querySelector('.chat-region');
+
+        this.bindEvents();
+        this.openLatest();
+    }
+
+    bindEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const question = this.input.value.trim();
+            if (!question || this.controller) return;
+
+            this.input.value = '';
+            this.ask(question);
+        });
+
+        MarkdownRenderer.bindCopyButtons(this.thread);
+        this.stopBtn.addEventListener('click', () => this.stop());
+        this.container.querySelector('.chat-new').addEventListener('click', () => this.newChat());
+        this.select.addEventListener('change', () => {
+            if (this.select.value) this.openChat(parseInt(this.select.value));
+        });
+
+        this.slideBtn.addEventListener('click', () => this.setSlideMode(!this.slideMode));
+        this.regionBtn.addEventListener('click', () => {
+            if (this.region || this.viewer.annotations.lasso) {
+                this.clearRegion();
+            } else {
+                this.selectRegion();
+            }
+        });
+        document.addEventListener('slideChanged', () => {
+            if (this.slideMode && this.currentImageId() !== this.imageId) {
+                this.clearRegion();
+                this.openLatest();
+            }
+        });
+    }
+
+    // Slide mode
+    setSlideMode(enabled) {
+        this.slideMode = enabled;
+        this.slideBtn.classList.toggle('active', enabled);
+        this.slideBtn.setAttribute('aria-pressed', enabled);
+        this.regionBtn.hidden = !enabled;
+        this.input.placeholder = enabled ? 'Ask about this slide' : '';
+        if (!enabled) {
+            this.clearRegion();
+        }
+        this.openLatest();
+    }
+
+    // The slide on screen, from the viewer's current page
+    currentImageId() {
+        const slide = this.viewer.getSlides()[this.viewer.currentPage - 1];
+        return slide ? parseInt(slide.dataset.imageId) : null;
+    }
+
+    selectRegion() {
+        this.regionBtn.textContent = 'Cancel selection';
+        this.viewer.annotations.selectRegion().then(points => {
+            this.region = points ? { imageId: this.currentImageId(), points } : null;
+            this.regionBtn.textContent = points ? 'Clear region' : 'Select region';
+            if (points) this.input.focus();
+        });
+    }
+
+    clearRegion() {
+        this.region = null;
+        this.viewer.annotations.finishLasso(null);
+        this.viewer.annotations.clearRegion();
+        this.regionBtn.textContent = 'Select region';
+    }
+
+    // Saved chats
+    loadChats() {
+        const query = this.slideMode && this.imageId ? `?image_id=${this.imageId}` : '';
+        return fetch(`/chats${query}`)
+            .then(response => response.ok ? response.json() : [])
+            .then(chats => {
+                this.select.innerHTML = '<option value="">Saved chats</option>';
+                chats.forEach(chat => {
+                    const option = document.createElement('option');
+                    option.value = chat.id;
+                    option.textContent = chat.title;
+                    this.select.appendChild(option);
+                });
+                this.select.value = this.chatId || '';
+                this.select.hidden = chats.length === 0;
+                return chats;
+            })
+            .catch(error => {
+                console.error('Loading chats failed:', error);
+                return [];
+            });
+    }
+
+    // Show the most recent chat (about the current slide in slide mode), or an empty thread
+    openLatest() {
+        this.imageId = this.slideMode ? this.currentImageId() : null;
+        this.chatId = null;
+        this.thread.innerHTML = '';
+
+        const imageId = this.imageId;
+        return this.loadChats().then(chats => {
+            if (chats.length > 0 && imageId === this.imageId && this.chatId === null) {
+                return this.openChat(chats[0].id);
+            }
+        });
+    }
+
+    openChat(chatId) {
+        return fetch(`/chats/${chatId}`)
+            .then(response => {
+                if (!response.ok) throw new Error(`Loading chat failed with status ${response.status}`);
+                return response.json();
+            })
+            .then(chat => {
+                this.chatId = chat.id;
+                this.select.value = chat.id;
+                this.thread.innerHTML = '';
+                chat.messages.forEach(message => this.addMessage(message.role, message.content));
+            })
+            .catch(error => console.error(error));
+    }
+
+    newChat() {
+        this.chatId = null;
+        this.select.value = '';
+        this.thread.innerHTML = '';
+        this.input.focus();
+    }
+
+    // Streaming
+    async ask(question) {
+        const body = { question, chat_id: this.chatId };
+        if (this.slideMode && this.chatId === null) {
+            body.image_id = this.imageId;
+        }
+        if (this.slideMode && this.region && this.region.imageId === this.imageId) {
+            body.region = this.region.points;
+            this.clearRegion();
+        }
+
+        this.addMessage('user', question);
+        const answer = this.addMessage('assistant', '');
+        answer.classList.add('pending');
+        answer.scrollIntoView({ block: 'nearest' });
+
+        this.controller = new AbortController();
+        this.stopBtn.hidden = false;
+        let text = '';
+
+        try {
+            const response = await fetch('/ask', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream'
+                },
+                body: JSON.stringify(body),
+                signal: this.controller.signal
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `Request failed with status ${response.status}`);
+            }
+
+            await ChatPanel.readEvents(response, (event, data) => {
+                if (event === 'start') {
+                    // Unless the user switched to another thread (or slide) meanwhile
+                    if (answer.isConnected) this.chatId = data.chat_id;
+                } else if (event === 'error') {
+                    throw new Error(data.error);
+                } else if (data.delta) {
+                    text += data.delta;
+                    this.setContent(answer, text);
+                    answer.scrollIntoView({ block: 'nearest' });
+                }
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                answer.classList.add('stopped');
+            } else {
+                this.setContent(answer, text ? `${text}\n\n${error.message}` : error.message);
+                answer.classList.add('error');
+            }
+        } finally {
+            answer.classList.remove('pending');
+            this.controller = null;
+            this.stopBtn.hidden = true;
+            this.loadChats();
+        }
+    }
+
+    stop() {
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+
+    // Parse a text/event-stream body, calling onEvent(event, data) for every message
+    static async readEvents(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop(); // incomplete message, wait for the rest
+            messages.forEach(message => {
+                let event = 'message';
+                const data = [];
+                message.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    if (line.startsWith('data:')) data.push(line.slice(5).trim());
+                });
+                if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+            });
+        }
+    }
+
+    // Thread rendering
+    addMessage(role, content) {
+        const message = document.createElement('div');
+        message.className = `chat-message ${role}`;
+        this.setContent(message, content);
+        this.thread.appendChild(message);
+        return message;
+    }
+
+    setContent(message, content) {
+        if (message.classList.contains('user')) {
+            message.textContent = content;
+        } else {
+            message.innerHTML = MarkdownRenderer.render(content);
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatPanel;
+}
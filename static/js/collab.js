@@ -0,0 +1,321 @@
+// Live sessions: the owner shares a deck, and everyone who opens the link follows along over a
+// WebSocket (/collab/<deckId>). Followers track the leader's page and zoom until they navigate
+// on their own; annotations, and strokes still being drawn, show up live for everyone in each
+// person's own color. Only the owner's strokes are saved with the deck: followers draw on a layer
+// the server keeps for the session. Late joiners get the current page, previews and those layers
+// in the welcome message.
+class CollabSession {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.deckId = viewer.deckId;
+        this.isOwner = document.body.dataset.owner === 'true';
+        this.shared = document.body.dataset.shared === 'true';
+        this.presence = document.getElementById('collabPresence');
+        this.shareBtn = document.getElementById('share');
+        this.followBtn = document.getElementById('follow');
+        this.socket = null;
+        this.me = null;
+        this.following = !this.isOwner;
+        this.applying = false;  // set while we move to the leader's view, so it isn't taken as our own navigation
+        this.leaderView = null;
+        this.retryDelay = 1000;
+        this.retryTimer = null;
+
+        if (!this.deckId || !('WebSocket' in window)) return;
+
+        if (this.shareBtn) {
+            this.panel = this.buildPanel();
+            this.shareBtn.addEventListener('click', () => this.togglePanel());
+        }
+        if (this.followBtn) {
+            this.followBtn.addEventListener('click', () => this.setFollowing(!this.following));
+        }
+
+        document.addEventListener('viewChanged', (e) => {
+            if (this.isOwner) {
+                this.send({ type: 'view', page: e.detail.page, zoom: e.detail.zoom });
+            } else if (!this.applying && this.following && this.leaderView && e.detail.page !== this.leaderView.page) {
+                // Going to another page yourself pauses following; the follow button picks it up again
+                this.setFollowing(false);
+            }
+        });
+        document.addEventListener('annotationsChanged', (e) => {
+            if (e.detail.remote) return;
+            this.send({
+                type: 'annotations',
+                imageId: e.detail.imageId,
+                strokes: this.viewer.annotations.strokes.get(e.detail.imageId) || []
+            });
+        });
+        document.addEventListener('annotationPreview', (e) => {
+            this.send({ type: 'preview', imageId: e.detail.imageId, stroke: e.detail.stroke });
+        });
+
+        this.renderShare();
+        this.renderFollow();
+        if (this.shared) this.connect();
+    }
+
+    connect() {
+        clearTimeout(this.retryTimer);
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const socket = new WebSocket(`${protocol}//${location.host}/collab/${this.deckId}`);
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.retryDelay = 1000;
+            if (this.isOwner) {
+                this.send({ type: 'view', page: this.viewer.currentPage, zoom: this.viewer.zoomLevel });
+            }
+        });
+        socket.addEventListener('message', (e) => {
+            try {
+                this.handleMessage(JSON.parse(e.data));
+            } catch (error) {
+                console.error('Bad live session message:', error);
+            }
+        });
+        socket.addEventListener('close', (e) => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.renderPresence([]);
+            if (e.code === 1008) {
+                // Turned away: the session ended while we were disconnected
+                this.ended();
+            } else if (this.shared) {
+                // Back off a little more each time, up to 30s
+                this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+                this.retryDelay = Math.min(this.retryDelay * 2, 30000);
+            }
+        });
+    }
+
+    disconnect() {
+        clearTimeout(this.retryTimer);
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.close();
+        this.renderPresence([]);
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    handleMessage(message) {
+        const annotations = this.viewer.annotations;
+
+        switch (message.type) {
+            case 'welcome':
+                this.me = message.you;
+                this.useColor(message.you.color);
+                this.renderPresence(message.members);
+                (message.previews || []).forEach(preview => {
+                    annotations.setPreview(preview.source, preview.imageId, preview.stroke);
+                });
+                (message.layers || []).forEach(layer => this.applyAnnotations(layer, false));
+                if (message.state) this.leaderMoved(message.state);
+                break;
+            case 'presence':
+                this.renderPresence(message.members);
+                break;
+            case 'view':
+                this.leaderMoved(message);
+                break;
+            case 'annotations':
+                this.applyAnnotations(message, message.leader);
+                break;
+            case 'preview':
+                annotations.setPreview(message.source, message.imageId, message.stroke);
+                break;
+            case 'ended':
+                this.ended();
+                break;
+        }
+    }
+
+    // Strokes are the leader's saved ones or a follower's session layer. Your own, from another
+    // tab, replace what you have; anyone else's are shown as a layer of theirs.
+    applyAnnotations(message, leader) {
+        const annotations = this.viewer.annotations;
+        const own = leader ? this.isOwner : Boolean(this.me) && message.user_id === this.me.user_id && !this.isOwner;
+        if (own) {
+            annotations.applyRemote(message.imageId, message.strokes);
+        } else {
+            annotations.setLayer(leader ? 'saved' : message.user_id, message.imageId, message.strokes);
+        }
+    }
+
+    leaderMoved(view) {
+        if (this.isOwner) return;
+        this.leaderView = { page: view.page, zoom: view.zoom };
+        if (this.following) this.catchUp();
+    }
+
+    catchUp() {
+        const view = this.leaderView;
+        if (!view) return;
+
+        this.applying = true;
+        try {
+            if (view.zoom !== this.viewer.zoomLevel) {
+                this.viewer.setZoom(view.zoom);
+            }
+            if (view.page !== this.viewer.currentPage) {
+                this.viewer.goToPage(view.page);
+            }
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    setFollowing(following) {
+        this.following = following;
+        this.renderFollow();
+        if (following) this.catchUp();
+    }
+
+    // Draw in your own color so everyone can tell whose marks are whose
+    useColor(color) {
+        const toolbox = this.viewer.toolbox;
+        if (!toolbox) {
+            this.viewer.annotations.pen.color = color;
+            return;
+        }
+        // The highlighter keeps its yellow; every other tool takes the session color
+        Object.entries(toolbox.settings).forEach(([tool, settings]) => {
+            if (tool !== 'highlighter') settings.color = color;
+        });
+        toolbox.selectTool(this.viewer.annotations.pen.tool);
+    }
+
+    ended() {
+        this.shared = false;
+        this.disconnect();
+        this.renderShare();
+        this.viewer.annotations.clearLayers();
+        if (!this.isOwner) {
+            alert('The live session has ended.');
+            window.location.href = '/';
+        }
+    }
+
+    // Owner side: a small panel with the link to hand out and a way to stop sharing
+    buildPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'collab-panel';
+        panel.hidden = true;
+        panel.innerHTML = `
+            <p class="collab-status"></p>
+            <div class="collab-link" hidden>
+                <input type="text" readonly aria-label="Link to this session">
+                <button type="button" class="collab-copy" title="Copy link" aria-label="Copy link"><i class="bi bi-clipboard"></i></button>
+            </div>
+            <button type="button" class="collab-start">Start sharing</button>
+            <button type="button" class="collab-stop" hidden>Stop sharing</button>
+        `;
+
+        panel.querySelector('.collab-start').addEventListener('click', () => this.share(true));
+        panel.querySelector('.collab-stop').addEventListener('click', () => this.share(false));
+        panel.querySelector('.collab-copy').addEventListener('click', () => {
+            const input = panel.querySelector('.collab-link input');
+            input.select();
+            navigator.clipboard.writeText(input.value).catch(() => document.execCommand('copy'));
+        });
+        document.addEventListener('click', (e) => {
+            if (!panel.hidden && !panel.contains(e.target) && !this.shareBtn.contains(e.target)) {
+                panel.hidden = true;
+            }
+        });
+        document.body.appendChild(panel);
+        return panel;
+    }
+
+    togglePanel() {
+        this.panel.hidden = !this.panel.hidden;
+        if (this.panel.hidden) return;
+
+        const rect = this.shareBtn.getBoundingClientRect();
+        this.panel.style.top = `${rect.bottom + 6}px`;
+        this.panel.style.right = `${Math.max(8, window.innerWidth - rect.right)}px`;
+        if (this.shared && !this.url) {
+            // Reopening a deck that's still shared: fetch its link again
+            this.share(true);
+        }
+    }
+
+    share(on) {
+        return fetch(`/decks/${this.deckId}/${on ? 'share' : 'unshare'}`, {
+            method: 'POST',
+            headers: { 'Accept': 'application/json' }
+        })
+            .then(response => response.json().then(data => {
+                if (!response.ok) {
+                    throw new Error(data.error || `Sharing failed with status ${response.status}`);
+                }
+                return data;
+            }))
+            .then(data => {
+                this.shared = data.shared;
+                this.url = data.url ? new URL(data.url, location.origin).href : null;
+                if (this.shared && !this.socket) {
+                    this.connect();
+                } else if (!this.shared) {
+                    this.disconnect();
+                }
+                this.renderShare();
+            })
+            .catch(error => alert(error.message));
+    }
+
+    renderShare() {
+        document.body.dataset.shared = String(this.shared);
+        if (!this.shareBtn) return;
+
+        this.shareBtn.setAttribute('aria-pressed', String(this.shared));
+        this.shareBtn.classList.toggle('active', this.shared);
+        this.shareBtn.title = this.shared ? 'Live session (sharing)' : 'Share a live session';
+
+        const panel = this.panel;
+        panel.querySelector('.collab-status').textContent = this.shared
+            ? 'Anyone signed in with this link can follow along and annotate.'
+            : 'Share this deck so others can follow your slides and annotate live.';
+        panel.querySelector('.collab-link').hidden = !(this.shared && this.url);
+        panel.querySelector('.collab-link input').value = this.url || '';
+        panel.querySelector('.collab-start').hidden = this.shared;
+        panel.querySelector('.collab-stop').hidden = !this.shared;
+    }
+
+    renderFollow() {
+        if (!this.followBtn) return;
+        this.followBtn.setAttribute('aria-pressed', String(this.following));
+        this.followBtn.classList.toggle('active', this.following);
+        this.followBtn.title = this.following ? 'Following the presenter (click to look around on your own)' : 'Follow the presenter';
+        this.followBtn.setAttribute('aria-label', this.followBtn.title);
+    }
+
+    // One avatar per person: their initial in their annotation color, the leader marked
+    renderPresence(members) {
+        if (!this.presence) return;
+
+        this.presence.innerHTML = '';
+        members.forEach(member => {
+            const avatar = document.createElement('span');
+            avatar.className = 'collab-avatar';
+            avatar.classList.toggle('leader', member.leader);
+            avatar.classList.toggle('me', Boolean(this.me && member.user_id === this.me.user_id));
+            avatar.style.background = member.color;
+            avatar.textContent = (member.name || '?').charAt(0).toUpperCase();
+            avatar.title = member.leader ? `${member.name} (presenting)` : member.name;
+            this.presence.appendChild(avatar);
+        });
+        this.presence.hidden = members.length === 0;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CollabSession;
+}
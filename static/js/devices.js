@@ -0,0 +1,45 @@
+// My devices: approve or deny new devices, rename and remove trusted ones. Requests from a
+// new device show up here while the page is open, since that's where they get approved.
+class DeviceList {
+    constructor(root) {
+        this.root = root;
+        this.pending = root.dataset.pending;    // ids of the requests on screen
+        this.bindEvents();
+        this.timer = setInterval(() => this.checkRequests(), 5000);
+    }
+
+    bindEvents() {
+        this.root.addEventListener('submit', (e) => {
+            const message = e.target.dataset.confirm;
+            if (message && !confirm(message)) {
+                e.preventDefault();
+            }
+        });
+    }
+
+    checkRequests() {
+        if (document.hidden) return;
+
+        fetch('/devices/requests', { headers: { 'Accept': 'application/json' } })
+            .then(response => response.ok ? response.json() : null)
+            .then(data => {
+                if (data && data.pending.join(',') !== this.pending) {
+                    clearInterval(this.timer);
+                    window.location.reload();
+                }
+            })
+            .catch(() => {});
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const root = document.querySelector('.devices');
+    if (root) {
+        window.deviceList = new DeviceList(root);
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeviceList;
+}
@@ -0,0 +1,207 @@
+// Touch gestures on the slides: pinch to zoom around the fingers, drag (one finger, or two while
+// pinching) to move a zoomed-in slide, double-tap to switch between fit and 100%, and a horizontal
+// swipe for the next or previous page. In annotation mode (or while lassoing) one finger draws, so
+// only pinching is handled, and it drops the stroke the first finger had started.
+class TouchGestures {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.container = document.getElementById('document-viewer');
+        this.pointers = new Map();  // pointer id -> { x, y, startX, startY, time }
+        this.pinch = null;          // { distance, zoom, center } when two fingers are down
+        this.panning = false;
+        this.used = false;          // the touch turned into a pinch or pan, so it's not a tap or swipe
+        this.lastTap = null;        // { x, y, time } for double-tap
+        this.pending = null;        // latest pinch/pan, applied once per frame
+        this.frame = null;
+
+        if (!this.container) return;
+        this.container.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.container.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.container.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.container.addEventListener('pointercancel', (e) => this.handlePointerUp(e, true));
+    }
+
+    // The mouse has the wheel and the toolbar; a stylus is for drawing unless annotations are off
+    isTouch(e) {
+        return e.pointerType === 'touch' || (e.pointerType === 'pen' && !this.isDrawing());
+    }
+
+    isDrawing() {
+        const annotations = this.viewer.annotations;
+        return this.viewer.isAnnotationMode || Boolean(annotations && annotations.lasso);
+    }
+
+    handlePointerDown(e) {
+        if (!this.isTouch(e) || !e.target.closest('.slide') || this.viewer.presentation.isActive) return;
+
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY, time: e.timeStamp });
+        if (this.pointers.size === 2) {
+            // A second finger: whatever the first one was doing becomes a pinch
+            this.used = true;
+            this.panning = false;
+            if (this.isDrawing()) this.viewer.annotations.finishGesture(false);
+            this.startPinch();
+        } else if (this.pointers.size > 2) {
+            this.pinch = null;
+        }
+    }
+
+    handlePointerMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+        const dx = e.clientX - pointer.x;
+        const dy = e.clientY - pointer.y;
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+
+        if (this.pinch) {
+            e.preventDefault();
+            const [a, b] = Array.from(this.pointers.values());
+            const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+            this.schedule({
+                zoom: this.pinch.zoom * this.distance(a, b) / this.pinch.distance,
+                center,
+                pan: { x: center.x - this.pinch.center.x, y: center.y - this.pinch.center.y }
+            });
+            this.pinch.center = center;
+            return;
+        }
+        if (this.pointers.size !== 1 || this.isDrawing()) return;
+
+        // One finger moves a slide that doesn't fit on screen; otherwise it may be a swipe
+        const moved = Math.hypot(e.clientX - pointer.startX, e.clientY - pointer.startY);
+        if (!this.panning && moved > TouchGestures.TAP_SLOP && this.viewer.viewMode !== 'scroll' && this.isZoomedIn()) {
+            this.panning = true;
+            this.used = true;
+        }
+        if (this.panning) {
+            e.preventDefault();
+            this.schedule({ pan: { x: dx, y: dy } });
+        }
+    }
+
+    handlePointerUp(e, cancelled = false) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+        this.pointers.delete(e.pointerId);
+
+        if (this.pinch) {
+            // Lifting one finger ends the pinch; the other one shouldn't start a swipe
+            const startZoom = this.pinch.zoom;
+            this.pinch = null;
+            this.flush();
+            if (this.viewer.zoomLevel !== startZoom) this.viewer.saveState();
+        }
+        if (this.pointers.size > 0) return;
+
+        const wasUsed = this.used;
+        this.used = false;
+        this.panning = false;
+        if (wasUsed || cancelled || this.isDrawing()) return;
+
+        const dx = e.clientX - pointer.startX;
+        const dy = e.clientY - pointer.startY;
+        const elapsed = e.timeStamp - pointer.time;
+        if (Math.abs(dx) > TouchGestures.SWIPE_DISTANCE && Math.abs(dx) > 1.5 * Math.abs(dy) && elapsed < TouchGestures.SWIPE_TIME) {
+            if (dx < 0) {
+                this.viewer.nextPage();
+            } else {
+                this.viewer.previousPage();
+            }
+            this.lastTap = null;
+        } else if (Math.hypot(dx, dy) <= TouchGestures.TAP_SLOP) {
+            this.tap(e.clientX, e.clientY, e.timeStamp);
+        }
+    }
+
+    tap(x, y, time) {
+        const last = this.lastTap;
+        if (last && time - last.time < TouchGestures.DOUBLE_TAP_TIME && Math.hypot(x - last.x, y - last.y) < 40) {
+            this.lastTap = null;
+            this.toggleFit(x, y);
+        } else {
+            this.lastTap = { x, y, time };
+        }
+    }
+
+    // Double-tap: 100% around the tapped spot, or back to fitting the window
+    toggleFit(x, y) {
+        if (this.viewer.zoomLevel === 100) {
+            this.viewer.pan = { x: 0, y: 0 };
+            this.viewer.fitToWidth();
+        } else {
+            this.viewer.zoomAt(100, x, y);
+            this.viewer.saveState();
+        }
+    }
+
+    startPinch() {
+        const [a, b] = Array.from(this.pointers.values());
+        this.pinch = {
+            distance: Math.max(1, this.distance(a, b)),
+            zoom: this.viewer.zoomLevel,
+            center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+        };
+    }
+
+    distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    // Whether the current slide is bigger than the window, so there's something to drag into view
+    isZoomedIn() {
+        const content = this.viewer.getSlideContent();
+        if (!content) return false;
+        const rect = content.getBoundingClientRect();
+        return rect.width > window.innerWidth || rect.height > window.innerHeight;
+    }
+
+    // Moves come faster than the slide can be redrawn; keep the latest zoom and add up the panning
+    schedule(change) {
+        const pending = this.pending || { pan: { x: 0, y: 0 } };
+        if (change.zoom !== undefined) {
+            pending.zoom = change.zoom;
+            pending.center = change.center;
+        }
+        pending.pan.x += change.pan.x;
+        pending.pan.y += change.pan.y;
+        this.pending = pending;
+
+        if (!this.frame) {
+            this.frame = requestAnimationFrame(() => this.flush());
+        }
+    }
+
+    flush() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending) return;
+
+        const viewer = this.viewer;
+        const scroll = viewer.viewMode === 'scroll';
+        if (pending.pan.x || pending.pan.y) {
+            if (scroll) {
+                // Two fingers moving together scroll the page like one finger does
+                this.container.scrollLeft -= pending.pan.x;
+                window.scrollBy(0, -pending.pan.y);
+            } else {
+                viewer.panBy(pending.pan.x, pending.pan.y);
+            }
+        }
+        if (pending.zoom !== undefined) {
+            viewer.zoomAt(pending.zoom, pending.center.x, pending.center.y);
+        }
+    }
+}
+
+TouchGestures.TAP_SLOP = 10;           // px a finger may wander and still count as a tap
+TouchGestures.DOUBLE_TAP_TIME = 300;   // ms between the taps of a double-tap
+TouchGestures.SWIPE_DISTANCE = 60;     // px, mostly sideways
+TouchGestures.SWIPE_TIME = 600;        // ms; slower than that is a drag, not a swipe
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TouchGestures;
+}
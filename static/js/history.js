@@ -0,0 +1,75 @@
+// Command-based undo/redo. Each command is an already-applied edit that knows how to
+// reverse and re-apply itself: { label, undo(), redo() }.
+class CommandHistory {
+    constructor(onChange) {
+        this.commands = [];
+        this.index = -1;
+        this.limit = 100;
+        this.onChange = onChange || (() => {});
+    }
+
+    push(command) {
+        // Remove future commands if we're not at the end
+        this.commands = this.commands.slice(0, this.index + 1);
+        this.commands.push(command);
+
+        if (this.commands.length > this.limit) {
+            this.commands = this.commands.slice(-this.limit);
+        }
+        this.index = this.commands.length - 1;
+        this.onChange();
+    }
+
+    undo() {
+        if (!this.canUndo()) return;
+        const command = this.commands[this.index];
+        this.index--;
+        this.run(command, 'undo');
+        this.onChange();
+    }
+
+    redo() {
+        if (!this.canRedo()) return;
+        this.index++;
+        this.run(this.commands[this.index], 'redo');
+        this.onChange();
+    }
+
+    // Commands that talk to the server return promises; report failures instead of dropping them
+    run(command, direction) {
+        const report = (error) => console.error(`Could not ${direction} ${command.label}:`, error);
+        try {
+            Promise.resolve(command[direction]()).catch(report);
+        } catch (error) {
+            report(error);
+        }
+    }
+
+    canUndo() {
+        return this.index >= 0;
+    }
+
+    canRedo() {
+        return this.index < this.commands.length - 1;
+    }
+
+    // Labels of the commands the next undo/redo would apply, for button tooltips
+    undoLabel() {
+        return this.canUndo() ? this.commands[this.index].label : null;
+    }
+
+    redoLabel() {
+        return this.canRedo() ? this.commands[this.index + 1].label : null;
+    }
+
+    clear() {
+        this.commands = [];
+        this.index = -1;
+        this.onChange();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommandHistory;
+}
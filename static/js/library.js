@@ -0,0 +1,147 @@
+// Deck library: every deck of the signed-in user as a card that opens it, with rename,
+// duplicate, delete and "available offline". New decks are created empty or imported from a .pptx / .pdf.
+class DeckLibrary {
+    constructor(root) {
+        this.root = root;
+        this.grid = root.querySelector('.deck-grid');
+        this.empty = root.querySelector('.library-empty');
+        this.status = root.querySelector('.library-status');
+        this.importInput = root.querySelector('#importInput');
+        this.offline = new OfflineStore();
+
+        this.bindEvents();
+        this.grid.querySelectorAll('.deck-card').forEach(card => this.renderOffline(card));
+    }
+
+    bindEvents() {
+        this.grid.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            const card = button && button.closest('.deck-card');
+            if (!card) return;
+
+            if (button.classList.contains('deck-rename')) {
+                this.rename(card);
+            } else if (button.classList.contains('deck-duplicate')) {
+                this.duplicate(card);
+            } else if (button.classList.contains('deck-delete')) {
+                this.remove(card);
+            } else if (button.classList.contains('deck-offline')) {
+                this.offline.toggle(button, card.dataset.deckId);
+            }
+        });
+
+        this.importInput.addEventListener('change', () => {
+            if (this.importInput.files.length > 0) {
+                this.importDeck(this.importInput.files[0]);
+                this.importInput.value = '';
+            }
+        });
+    }
+
+    // POST to a deck endpoint, resolving with the JSON reply or rejecting with the server's error
+    request(url, body) {
+        return fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify(body || {})
+        }).then(response => response.json().then(data => {
+            if (!response.ok) {
+                throw new Error(data.error || `Request failed with status ${response.status}`);
+            }
+            return data;
+        }));
+    }
+
+    rename(card) {
+        const titleLink = card.querySelector('.deck-title');
+        const title = prompt('Rename deck', titleLink.textContent);
+        if (title === null || !title.trim() || title.trim() === titleLink.textContent) return;
+
+        this.request(`/decks/${card.dataset.deckId}/rename`, { title })
+            .then(deck => {
+                titleLink.textContent = deck.title;
+            })
+            .catch(error => alert(error.message));
+    }
+
+    duplicate(card) {
+        this.setStatus('Duplicating...');
+        this.request(`/decks/${card.dataset.deckId}/duplicate`)
+            .then(deck => {
+                // The copy goes first, like the newest deck does after a reload
+                this.grid.prepend(this.createCard(card, deck));
+                this.setStatus('');
+            })
+            .catch(error => {
+                this.setStatus('');
+                alert(error.message);
+            });
+    }
+
+    remove(card) {
+        const title = card.querySelector('.deck-title').textContent;
+        if (!confirm(`Delete "${title}" and all of its slides? This can't be undone.`)) return;
+
+        this.request(`/decks/${card.dataset.deckId}/delete`)
+            .then(() => {
+                this.offline.removeDeck(card.dataset.deckId);
+                card.remove();
+                this.empty.hidden = this.grid.children.length > 0;
+            })
+            .catch(error => alert(error.message));
+    }
+
+    importDeck(file) {
+        const formData = new FormData();
+        formData.append('file', file);
+        this.setStatus(`Importing ${file.name}...`);
+
+        return fetch('/import', {
+            method: 'POST',
+            headers: { 'Accept': 'application/json' },
+            body: formData
+        }).then(response => response.json().then(data => {
+            if (!response.ok) {
+                throw new Error(data.error || `Import failed with status ${response.status}`);
+            }
+            window.location.href = data.url;
+        })).catch(error => {
+            this.setStatus('');
+            alert(error.message);
+        });
+    }
+
+    // A card for a deck, built from an existing one so the markup lives only in the template
+    createCard(template, deck) {
+        const card = template.cloneNode(true);
+        card.dataset.deckId = deck.id;
+        card.querySelectorAll('a').forEach(link => {
+            link.href = deck.url;
+        });
+        card.querySelector('.deck-title').textContent = deck.title;
+        card.querySelector('.deck-count').textContent = deck.slides === 1 ? '1 slide' : `${deck.slides} slides`;
+        this.offline.renderToggle(card.querySelector('.deck-offline'), false);
+        return card;
+    }
+
+    renderOffline(card) {
+        const button = card.querySelector('.deck-offline');
+        this.offline.isAvailable(card.dataset.deckId).then(available => this.offline.renderToggle(button, available));
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const root = document.querySelector('.library');
+    if (root) {
+        window.deckLibrary = new DeckLibrary(root);
+    }
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeckLibrary;
+}
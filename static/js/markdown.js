@@ -0,0 +1,385 @@
+// Markdown renderer for AI answers. Output is safe by construction: every piece of the input
+// is HTML-escaped and only the tags generated here are emitted, so raw HTML in an answer shows
+// up as text. Supports headings, paragraphs, nested and task lists, blockquotes, GFM tables,
+// fenced code (highlighted with highlight.js when loaded, with a copy button), links and
+// $...$ / $$...$$ math (typeset with KaTeX when loaded).
+class MarkdownRenderer {
+    static render(markdown) {
+        const lines = String(markdown || '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n');
+        return MarkdownRenderer.renderBlocks(lines, false);
+    }
+
+    // Blocks. "tight" renders paragraphs without <p>, for list items
+    static renderBlocks(lines, tight) {
+        const R = MarkdownRenderer;
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // Fenced code; an unterminated fence (answer still streaming) runs to the end
+            const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !R.closesFence(lines[i], fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                html.push(R.renderCode(code.join('\n').replace(/\n+$/, ''), fence[2]));
+                continue;
+            }
+
+            // Display math: $$ ... $$ or \[ ... \]
+            const mathOpen = line.trim().match(/^(\$\$|\\\[)/);
+            if (mathOpen) {
+                const close = mathOpen[1] === '$$' ? '$$' : '\\]';
+                let tex = line.trim().slice(2);
+                if (tex.endsWith(close)) {
+                    tex = tex.slice(0, -2);
+                    i++;
+                } else {
+                    const body = [tex];
+                    i++;
+                    while (i < lines.length && !lines[i].trim().endsWith(close)) {
+                        body.push(lines[i]);
+                        i++;
+                    }
+                    if (i < lines.length) {
+                        body.push(lines[i].trim().slice(0, -2));
+                        i++;
+                    }
+                    tex = body.join('\n');
+                }
+                html.push(`<div class="md-math-block">${R.renderMath(tex.trim(), true)}</div>`);
+                continue;
+            }
+
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level}>${R.renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (R.isTableStart(lines, i)) {
+                i = R.renderTable(lines, i, html);
+                continue;
+            }
+
+            if (/^\s{0,3}>/.test(line)) {
+                const quote = [];
+                while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+                    quote.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+                    i++;
+                }
+                html.push(`<blockquote>${R.renderBlocks(quote, false)}</blockquote>`);
+                continue;
+            }
+
+            if (R.LIST.test(line)) {
+                i = R.renderList(lines, i, html);
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or the start of another block
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !R.startsBlock(lines, i))) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            // Chat answers use single newlines as line breaks
+            const text = paragraph.map(part => R.renderInline(part)).join('<br>');
+            html.push(tight ? text : `<p>${text}</p>`);
+        }
+
+        return html.join('\n');
+    }
+
+    static closesFence(line, fence) {
+        const trimmed = line.trim();
+        return trimmed.startsWith(fence) && trimmed.split('').every(char => char === fence[0]);
+    }
+
+    static startsBlock(lines, i) {
+        const line = lines[i];
+        return /^\s*(`{3,}|~{3,})/.test(line) ||
+            /^\s*(\$\$|\\\[)/.test(line) ||
+            /^\s{0,3}#{1,6}\s/.test(line) ||
+            /^\s{0,3}>/.test(line) ||
+            /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+            MarkdownRenderer.LIST.test(line) ||
+            MarkdownRenderer.isTableStart(lines, i);
+    }
+
+    // Lists. Items continue on lines indented past the marker; nested lists are parsed
+    // recursively from those continuation lines.
+    static renderList(lines, start, html) {
+        const R = MarkdownRenderer;
+        const first = lines[start].match(R.LIST);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let loose = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const item = line.match(R.LIST);
+
+            if (item && item[1].length < indent + 2) {
+                if (/\d/.test(item[2]) !== ordered) break;
+                items.push({ lines: [item[3]], contentIndent: item[1].length + item[2].length + 1 });
+                i++;
+            } else if (!line.trim()) {
+                // A blank line continues the list only if more of it follows
+                const next = lines[i + 1];
+                const nextItem = next && next.match(R.LIST);
+                const continues = next && next.trim() &&
+                    ((nextItem && nextItem[1].length < indent + 2) || R.indentOf(next) > indent);
+                if (!continues) break;
+                if (nextItem && nextItem[1].length < indent + 2) loose = true;
+                items[items.length - 1].lines.push('');
+                i++;
+            } else if (R.indentOf(line) > indent || !R.startsBlock(lines, i)) {
+                const current = items[items.length - 1];
+                const strip = Math.min(R.indentOf(line), current.contentIndent);
+                current.lines.push(line.slice(strip));
+                i++;
+            } else {
+                break;
+            }
+        }
+
+        const tag = ordered ? 'ol' : 'ul';
+        const startNumber = ordered ? parseInt(first[2]) : 1;
+        const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+
+        html.push(`<${tag}${startAttr}>`);
+        items.forEach(item => {
+            const task = item.lines[0].match(/^\[([ xX])\]\s+(.*)$/);
+            if (task) {
+                item.lines[0] = task[2];
+            }
+            const checkbox = task ? `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ` : '';
+            const className = task ? ' class="md-task"' : '';
+            html.push(`<li${className}>${checkbox}${R.renderBlocks(item.lines, !loose)}</li>`);
+        });
+        html.push(`</${tag}>`);
+        return i;
+    }
+
+    static indentOf(line) {
+        return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+    }
+
+    // GFM tables: header row, delimiter row (with optional :alignment:), body rows
+    static isTableStart(lines, i) {
+        return lines[i].includes('|') && i + 1 < lines.length &&
+            /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1]) &&
+            lines[i + 1].includes('-');
+    }
+
+    static renderTable(lines, start, html) {
+        const R = MarkdownRenderer;
+        const header = R.splitRow(lines[start]);
+        const align = R.splitRow(lines[start + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+        });
+        const cell = (tag, text, column) => {
+            const style = align[column] ? ` style="text-align: ${align[column]}"` : '';
+            return `<${tag}${style}>${R.renderInline(text)}</${tag}>`;
+        };
+
+        const rows = [];
+        let i = start + 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            const cells = R.splitRow(lines[i]);
+            rows.push(`<tr>${header.map((_, column) => cell('td', cells[column] || '', column)).join('')}</tr>`);
+            i++;
+        }
+
+        html.push(
+            '<div class="md-table"><table>' +
+            `<thead><tr>${header.map((text, column) => cell('th', text, column)).join('')}</tr></thead>` +
+            `<tbody>${rows.join('')}</tbody>` +
+            '</table></div>'
+        );
+        return i;
+    }
+
+    static splitRow(line) {
+        const cells = [];
+        let current = '';
+        let inCode = false;
+        const row = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+
+        for (let i = 0; i < row.length; i++) {
+            const char = row[i];
+            if (char === '\\' && row[i + 1] === '|') {
+                current += '|';
+                i++;
+            } else if (char === '`') {
+                inCode = !inCode;
+                current += char;
+            } else if (char === '|' && !inCode) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    }
+
+    // Inline formatting. Code spans, math, escapes and links are swapped for placeholders
+    // first so nothing inside them gets formatted twice.
+    static renderInline(text) {
+        const R = MarkdownRenderer;
+        const stash = [];
+        const hold = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+        // Held pieces are HTML; restored into an attribute they'd end it, so attributes get them escaped
+        const unhold = (value) => {
+            while (/\u0000\d+\u0000/.test(value)) {
+                value = value.replace(/\u0000(\d+)\u0000/g, (_, index) => stash[index]);
+            }
+            return value;
+        };
+        const link = (url, label, title) =>
+            hold(R.link(unhold(url), label, title ? ` title="${R.escape(unhold(title))}"` : ''));
+
+        let out = text
+            .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => hold(`<code>${R.escape(code.trim())}</code>`))
+            .replace(/\\\((.+?)\\\)/g, (_, tex) => hold(R.renderMath(tex.trim(), false)))
+            .replace(/\\([\\`*_{}\[\]()#+\-.!|~$<>])/g, (_, char) => hold(R.escape(char)))
+            .replace(/\$\$([^$]+?)\$\$/g, (_, tex) => hold(R.renderMath(tex.trim(), true)))
+            // $x$ but not prices like "$5 and $10"
+            .replace(/\$(?=\S)([^$\n]*?\S)\$(?!\d)/g, (_, tex) => hold(R.renderMath(tex, false)));
+
+        // URLs and titles stop at held pieces (\u0000), so a link or code span can't end up inside an href.
+        // [![alt](image)](url): a linked image (a badge, say) is one link to url, labelled with the alt text
+        out = out.replace(/\[\s*!\[([^\]]*)\]\(\s*([^\s)\u0000]+)(?:\s+"[^"\u0000]*")?\s*\)\s*\]\(\s*([^\s)\u0000]+)(?:\s+"([^"\u0000]*)")?\s*\)/g, (match, alt, src, url, title) => {
+            const target = R.isSafeUrl(url) ? url : src;
+            if (!R.isSafeUrl(target)) return hold(R.escape(match));
+            return link(target, R.renderEmphasis(R.escape(alt || src)), target === url ? title : '');
+        });
+        // [text](url "title") and ![alt](url); images are shown as links rather than loaded
+        out = out.replace(/!?\[([^\]]+)\]\(\s*([^\s)\u0000]+)(?:\s+"([^"\u0000]*)")?\s*\)/g, (match, label, url, title) => {
+            if (!R.isSafeUrl(url)) return match;
+            return link(url, R.renderEmphasis(R.escape(label)), title);
+        });
+        // <https://...> and bare URLs
+        out = out.replace(/<((?:https?:\/\/|mailto:)[^\s<>\u0000]+)>|(https?:\/\/[^\s<>"'\u0000]*[^\s<>"'.,;:!?)\]*_~\u0000])/g, (match, bracketed, bare) => {
+            const url = bracketed || bare;
+            return link(url, R.escape(url), '');
+        });
+
+        out = R.escape(out);
+        out = R.renderEmphasis(out);
+
+        // Restore held pieces (links can hold code spans, so repeat until none are left)
+        return unhold(out);
+    }
+
+    static renderEmphasis(text) {
+        return text
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>')
+            .replace(/\*(?=[^\s*])([^*])\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+    }
+
+    // Only web and mail links; anything else (javascript:, data:, ...) stays plain text
+    static isSafeUrl(url) {
+        return /^(https?:\/\/|mailto:|\/(?!\/)|#)/i.test(url);
+    }
+
+    static link(url, label, titleAttr) {
+        return `<a href="${MarkdownRenderer.escape(url)}"${titleAttr} target="_blank" rel="noopener noreferrer">${label}</a>`;
+    }
+
+    static renderCode(code, language) {
+        const R = MarkdownRenderer;
+        let highlighted = R.escape(code);
+        if (window.hljs) {
+            try {
+                highlighted = language && hljs.getLanguage(language)
+                    ? hljs.highlight(code, { language, ignoreIllegals: true }).value
+                    : hljs.highlightAuto(code).value;
+            } catch (error) {
+                // Fall back to the plain (escaped) code
+            }
+        }
+
+        const languageClass = language ? ` language-${R.escape(language)}` : '';
+        return '<div class="md-code">' +
+            `<div class="md-code-header"><span>${R.escape(language || '')}</span>` +
+            '<button type="button" class="md-copy">Copy</button></div>' +
+            `<pre><code class="hljs${languageClass}">${highlighted}</code></pre>` +
+            '</div>';
+    }
+
+    static renderMath(tex, display) {
+        if (window.katex) {
+            try {
+                // KaTeX escapes its input itself; trust stays off so \href and friends are inert
+                return katex.renderToString(tex, { displayMode: display, throwOnError: false, trust: false });
+            } catch (error) {
+                // Fall back to showing the TeX source
+            }
+        }
+        return `<code class="md-math">${MarkdownRenderer.escape(tex)}</code>`;
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Copy buttons of code blocks rendered anywhere inside root
+    static bindCopyButtons(root) {
+        root.addEventListener('click', (e) => {
+            const button = e.target.closest('.md-copy');
+            if (!button) return;
+
+            const code = button.closest('.md-code').querySelector('code').textContent;
+            navigator.clipboard.writeText(code).then(() => {
+                button.textContent = 'Copied';
+                setTimeout(() => {
+                    button.textContent = 'Copy';
+                }, 1500);
+            }).catch(error => console.error('Copying code failed:', error));
+        });
+    }
+}
+
+// List item marker: indent, bullet or number, content
+MarkdownRenderer.LIST = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+}
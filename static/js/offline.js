@@ -0,0 +1,273 @@
+// Offline support for lecture halls with bad Wi-Fi. Registers the service worker (/sw.js), keeps
+// decks marked "available offline" in a cache of their own, and holds annotation saves that
+// couldn't reach the server in IndexedDB until the connection is back. Each account gets its own
+// database, so changes queued by one user are never sent from (or shown to) another's session.
+class OfflineStore {
+    constructor() {
+        this.userId = document.body.dataset.userId || null;
+        this.indicator = document.getElementById('offlineIndicator');
+        this.dbPromise = null;
+        this.pendingCount = 0;
+        this.syncHandler = null;    // sends one queued change; set by the annotation layer
+        this.syncing = false;
+        this.retryTimer = null;
+        this.refreshTimer = null;
+
+        this.register();
+        window.addEventListener('online', () => {
+            this.updateIndicator();
+            this.sync();
+        });
+        window.addEventListener('offline', () => this.updateIndicator());
+        this.countPending();
+    }
+
+    register() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('/sw.js')
+            .catch(error => console.error('Registering the service worker failed:', error));
+    }
+
+    // Decks kept for offline use, one cache each (the service worker reads them)
+    cacheName(deckId) {
+        return `deck-${deckId}`;
+    }
+
+    isAvailable(deckId) {
+        if (!window.caches) return Promise.resolve(false);
+        return caches.has(this.cacheName(deckId));
+    }
+
+    // Fetch everything the deck needs. A deck that can't be saved completely isn't kept at all.
+    saveDeck(deckId, onProgress) {
+        if (!window.caches) {
+            return Promise.reject(new Error('This browser can\'t keep decks for offline use'));
+        }
+        return this.fillDeck(deckId, onProgress).catch(error => this.removeDeck(deckId).then(() => {
+            throw error;
+        }));
+    }
+
+    // Bring a deck that's already kept up to date: new slides, current pages and annotations
+    refreshDeck(deckId) {
+        return this.isAvailable(deckId)
+            .then(available => available && this.fillDeck(deckId))
+            .catch(error => console.warn('Updating the offline copy failed:', error.message));
+    }
+
+    // While a deck is open, slides added to it (or reordered) make it into the offline copy too
+    watchDeck(deckId) {
+        document.addEventListener('slidesLoaded', () => {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = setTimeout(() => this.refreshDeck(deckId), 2000);
+        });
+    }
+
+    // Slides already cached are skipped since they never change; pages and annotations are refetched
+    fillDeck(deckId, onProgress) {
+        return fetch(`/decks/${deckId}/offline`, { headers: { 'Accept': 'application/json' } })
+            .then(response => response.json().then(data => {
+                if (!response.ok) {
+                    throw new Error(data.error || `Saving for offline use failed with status ${response.status}`);
+                }
+                return data.urls;
+            }))
+            .then(urls => caches.open(this.cacheName(deckId)).then(cache => {
+                let done = 0;
+                const queue = urls.slice();
+                const next = () => {
+                    const url = queue.shift();
+                    if (!url) return Promise.resolve();
+
+                    const cached = url.startsWith('/image/') ? cache.match(url, { ignoreVary: true }) : Promise.resolve(null);
+                    return cached
+                        .then(hit => hit || cache.add(url))
+                        .then(() => {
+                            done++;
+                            if (onProgress) onProgress(done, urls.length);
+                            return next();
+                        });
+                };
+                // A few requests at a time
+                return Promise.all([next(), next(), next(), next()]);
+            }));
+    }
+
+    removeDeck(deckId) {
+        if (!window.caches) return Promise.resolve(false);
+        return caches.delete(this.cacheName(deckId));
+    }
+
+    // Keep the offline copy of a slide's annotations in step with what was just saved
+    cacheAnnotations(imageId, data) {
+        if (!window.caches) return Promise.resolve();
+
+        const url = `/annotations/${imageId}`;
+        const body = JSON.stringify({ strokes: data.strokes, version: data.version });
+        return caches.keys().then(names => Promise.all(names
+            .filter(name => name.startsWith('deck-'))
+            .map(name => caches.open(name).then(cache => cache.match(url, { ignoreVary: true }).then(hit => hit && cache.put(
+                url, new Response(body, { headers: { 'Content-Type': 'application/json' } })
+            ))))));
+    }
+
+    // A button that saves a deck for offline use, or stops keeping it
+    bindToggle(button, deckId) {
+        this.isAvailable(deckId).then(available => this.renderToggle(button, available));
+        button.addEventListener('click', () => this.toggle(button, deckId));
+    }
+
+    toggle(button, deckId) {
+        if (button.classList.contains('busy')) return Promise.resolve();
+
+        return this.isAvailable(deckId).then(available => {
+            if (available) {
+                return this.removeDeck(deckId).then(() => this.renderToggle(button, false));
+            }
+
+            button.classList.add('busy');
+            return this.saveDeck(deckId, (done, total) => {
+                button.title = `Saving for offline use... ${Math.round(done / total * 100)}%`;
+            })
+                .then(() => this.renderToggle(button, true))
+                .catch(error => {
+                    this.renderToggle(button, false);
+                    alert(error.message);
+                })
+                .finally(() => button.classList.remove('busy'));
+        });
+    }
+
+    renderToggle(button, available) {
+        button.setAttribute('aria-pressed', String(available));
+        button.title = available ? 'Available offline (click to stop keeping it)' : 'Make available offline';
+        button.setAttribute('aria-label', button.title);
+        button.innerHTML = `<i class="bi ${available ? 'bi-cloud-check-fill' : 'bi-cloud-download'}"></i>`;
+    }
+
+    // Annotation saves waiting for a connection, one per slide, in the user's IndexedDB database:
+    //   { imageId, strokes, base, version, takenAt }
+    // where base/version are the server copy the strokes were edited from.
+    db() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(`massey-offline-${this.userId}`, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('annotations', { keyPath: 'imageId' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run work(store) in a transaction, resolving with the result of the request it returns
+    transaction(mode, work) {
+        if (!window.indexedDB) return Promise.reject(new Error('IndexedDB is not available'));
+        if (!this.userId) return Promise.reject(new Error('Not signed in'));
+
+        return this.db().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction('annotations', mode);
+            const request = work(tx.objectStore('annotations'));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+    }
+
+    queue(change) {
+        return this.transaction('readwrite', store => store.put(change))
+            .then(() => this.countPending())
+            .then(() => this.scheduleRetry());
+    }
+
+    pending(imageId) {
+        return this.transaction('readonly', store => store.get(String(imageId)))
+            .catch(() => undefined);
+    }
+
+    allPending() {
+        return this.transaction('readonly', store => store.getAll())
+            .catch(() => []);
+    }
+
+    // Drop the queued change for a slide once strokes taken at or after it have been saved
+    dequeue(imageId, takenAt) {
+        return this.transaction('readwrite', store => {
+            const request = store.get(String(imageId));
+            request.onsuccess = () => {
+                if (request.result && request.result.takenAt <= takenAt) {
+                    store.delete(String(imageId));
+                }
+            };
+            return null;
+        })
+            .catch(error => console.error('Clearing a synced change failed:', error))
+            .then(() => this.countPending());
+    }
+
+    countPending() {
+        return this.transaction('readonly', store => store.count())
+            .catch(() => 0)
+            .then(count => {
+                this.pendingCount = count;
+                this.updateIndicator();
+            });
+    }
+
+    // Send queued changes one at a time; stop at the first that still can't get through and try again later
+    onSync(handler) {
+        this.syncHandler = handler;
+        this.sync();
+    }
+
+    sync() {
+        if (!this.syncHandler || this.syncing || !navigator.onLine) return Promise.resolve();
+        clearTimeout(this.retryTimer);
+        this.syncing = true;
+        this.updateIndicator();
+
+        return this.allPending()
+            .then(changes => changes.reduce(
+                (chain, change) => chain
+                    .then(() => this.syncHandler(change))
+                    .then(() => this.dequeue(change.imageId, change.takenAt)),
+                Promise.resolve()
+            ))
+            .catch(error => {
+                console.warn('Annotations will sync later:', error.message);
+                this.scheduleRetry();
+            })
+            .finally(() => {
+                this.syncing = false;
+                this.countPending();
+            });
+    }
+
+    // navigator.onLine stays true on Wi-Fi that connects but doesn't get anywhere, so keep trying
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.sync(), 30000);
+    }
+
+    updateIndicator() {
+        if (!this.indicator) return;
+
+        const offline = !navigator.onLine;
+        const label = this.indicator.querySelector('.offline-label');
+        const waiting = this.pendingCount === 1 ? '1 change' : `${this.pendingCount} changes`;
+        if (offline) {
+            label.textContent = this.pendingCount > 0 ? `Offline, ${waiting} to sync` : 'Offline';
+        } else if (this.syncing) {
+            label.textContent = `Syncing ${waiting}...`;
+        } else {
+            label.textContent = `${waiting} not synced yet`;
+        }
+        this.indicator.classList.toggle('offline', offline);
+        this.indicator.hidden = !offline && this.pendingCount === 0;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineStore;
+}
@@ -0,0 +1,103 @@
+// Minimal PDF writer: one JPEG image per page, no external libraries.
+// JPEG data is embedded as-is through the DCTDecode filter, so no encoding happens here.
+class PdfWriter {
+    constructor(title) {
+        this.title = title || 'Presentation';
+        this.pages = [];
+    }
+
+    // width/height in image pixels; rotation in degrees (multiple of 90) applied by the PDF viewer
+    addJpegPage(jpegBytes, width, height, rotation = 0) {
+        this.pages.push({ jpegBytes, width, height, rotation });
+    }
+
+    output() {
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (data) => {
+            const bytes = typeof data === 'string' ? PdfWriter.latin1(data) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const startObject = (number) => {
+            offsets[number] = length;
+            write(`${number} 0 obj\n`);
+        };
+
+        // Object numbering: 1 catalog, 2 page tree, 3 info, then 3 objects per page
+        const pageObject = (i) => 4 + i * 3;
+
+        write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+        startObject(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+        startObject(2);
+        const kids = this.pages.map((_, i) => `${pageObject(i)} 0 R`).join(' ');
+        write(`<< /Type /Pages /Kids [${kids}] /Count ${this.pages.length} >>\nendobj\n`);
+
+        startObject(3);
+        write(`<< /Title (${PdfWriter.escapeText(this.title)}) /Producer (Massey PowerPoint) >>\nendobj\n`);
+
+        this.pages.forEach((page, i) => {
+            const number = pageObject(i);
+            // 96 dpi screen pixels -> 72 dpi PDF points
+            const width = (page.width * 0.75).toFixed(2);
+            const height = (page.height * 0.75).toFixed(2);
+            const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+
+            startObject(number);
+            write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Rotate ${page.rotation % 360}` +
+                ` /Resources << /XObject << /Im0 ${number + 2} 0 R >> >> /Contents ${number + 1} 0 R >>\nendobj\n`);
+
+            startObject(number + 1);
+            write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+            startObject(number + 2);
+            write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height}` +
+                ` /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpegBytes.length} >>\nstream\n`);
+            write(page.jpegBytes);
+            write('\nendstream\nendobj\n');
+        });
+
+        const objectCount = pageObject(this.pages.length);
+        const xrefOffset = length;
+        write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+        for (let i = 1; i < objectCount; i++) {
+            write(`${String(offsets[i]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        const output = new Uint8Array(length);
+        let position = 0;
+        chunks.forEach(chunk => {
+            output.set(chunk, position);
+            position += chunk.length;
+        });
+        return output;
+    }
+
+    toBlob() {
+        return new Blob([this.output()], { type: 'application/pdf' });
+    }
+
+    static latin1(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    }
+
+    // PDF literal strings are Latin-1 here; drop anything outside it rather than corrupt the file
+    static escapeText(text) {
+        return text.replace(/[^\x20-\x7E\xA0-\xFF]/g, '').replace(/([\\()])/g, '\\$1');
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfWriter;
+}
@@ -0,0 +1,452 @@
+// Image preprocessing before upload. Photos are decoded upright (EXIF orientation applied),
+// cropped or straightened by dragging four corners onto the slide in the photo (perspective
+// correction), scaled down to a maximum size and re-encoded as WebP, JPEG or PNG, so a phone
+// picture of a whiteboard ends up a few hundred KB instead of several MB.
+class ImagePreprocessor {
+    constructor() {
+        this.settings = this.loadSettings();
+        this.entries = [];      // { file, bitmap, corners, rotation, error } per image
+        this.index = 0;
+        this.resolve = null;    // settles the promise returned by prepare()
+        this.drag = null;       // corner being dragged
+        this.busy = false;      // encoding the images
+
+        this.dialog = this.build();
+        document.body.appendChild(this.dialog);
+        this.canvas = this.dialog.querySelector('.preprocess-canvas');
+        this.stage = this.dialog.querySelector('.preprocess-stage');
+        this.outline = this.dialog.querySelector('.preprocess-outline polygon');
+        this.handles = Array.from(this.dialog.querySelectorAll('.preprocess-handle'));
+        this.status = this.dialog.querySelector('.preprocess-status');
+    }
+
+    // Saved choices over the defaults; settings that can't be read (or storage that's off) fall back to the defaults
+    loadSettings() {
+        const defaults = { maxSize: 1920, format: 'image/webp', quality: 0.85 };
+        try {
+            const saved = JSON.parse(localStorage.getItem('uploadSettings') || '{}');
+            return Object.assign(defaults, saved && typeof saved === 'object' ? saved : {});
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    build() {
+        const dialog = document.createElement('div');
+        dialog.className = 'preprocess-dialog';
+        dialog.hidden = true;
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-label', 'Prepare images for upload');
+        dialog.innerHTML = `
+            <div class="preprocess-box">
+                <div class="preprocess-header">
+                    <span class="preprocess-name"></span>
+                    <span class="preprocess-count"></span>
+                </div>
+                <div class="preprocess-stage">
+                    <canvas class="preprocess-canvas"></canvas>
+                    <svg class="preprocess-outline"><polygon></polygon></svg>
+                    ${'<div class="preprocess-handle"></div>'.repeat(4)}
+                </div>
+                <p class="preprocess-hint">Drag the corners onto the slide to crop it and straighten it out.</p>
+                <div class="preprocess-tools">
+                    <button type="button" class="preprocess-prev" title="Previous image" aria-label="Previous image"><i class="bi bi-chevron-left"></i></button>
+                    <button type="button" class="preprocess-next" title="Next image" aria-label="Next image"><i class="bi bi-chevron-right"></i></button>
+                    <button type="button" class="preprocess-rotate" title="Rotate 90°" aria-label="Rotate 90°"><i class="bi bi-arrow-clockwise"></i></button>
+                    <button type="button" class="preprocess-reset">Reset corners</button>
+                </div>
+                <div class="preprocess-settings">
+                    <label>Max size
+                        <select class="preprocess-size">
+                            <option value="1280">1280 px</option>
+                            <option value="1920">1920 px</option>
+                            <option value="2560">2560 px</option>
+                            <option value="3840">3840 px</option>
+                            <option value="0">Original</option>
+                        </select>
+                    </label>
+                    <label>Format
+                        <select class="preprocess-format">
+                            <option value="image/webp">WebP</option>
+                            <option value="image/jpeg">JPEG</option>
+                            <option value="image/png">PNG</option>
+                        </select>
+                    </label>
+                    <label class="preprocess-quality">Quality
+                        <input type="range" min="0.5" max="1" step="0.05">
+                        <span></span>
+                    </label>
+                </div>
+                <div class="preprocess-actions">
+                    <span class="preprocess-status" aria-live="polite"></span>
+                    <button type="button" class="preprocess-cancel">Cancel</button>
+                    <button type="button" class="preprocess-originals">Upload originals</button>
+                    <button type="button" class="preprocess-upload">Upload</button>
+                </div>
+            </div>
+        `;
+
+        const size = dialog.querySelector('.preprocess-size');
+        const format = dialog.querySelector('.preprocess-format');
+        const quality = dialog.querySelector('.preprocess-quality input');
+        size.value = this.settings.maxSize;
+        format.value = this.settings.format;
+        quality.value = this.settings.quality;
+        const updateSettings = () => {
+            this.settings = { maxSize: parseInt(size.value), format: format.value, quality: parseFloat(quality.value) };
+            try {
+                localStorage.setItem('uploadSettings', JSON.stringify(this.settings));
+            } catch (error) {
+                // Storage is off or full: the settings still apply until the page is closed
+            }
+            dialog.querySelector('.preprocess-quality').hidden = format.value === 'image/png';
+            dialog.querySelector('.preprocess-quality span').textContent = `${Math.round(quality.value * 100)}%`;
+        };
+        [size, format, quality].forEach(input => input.addEventListener('input', updateSettings));
+        updateSettings();
+
+        dialog.querySelector('.preprocess-prev').addEventListener('click', () => this.show(this.index - 1));
+        dialog.querySelector('.preprocess-next').addEventListener('click', () => this.show(this.index + 1));
+        dialog.querySelector('.preprocess-rotate').addEventListener('click', () => this.rotate());
+        dialog.querySelector('.preprocess-reset').addEventListener('click', () => {
+            this.entries[this.index].corners = ImagePreprocessor.fullFrame();
+            this.drawOutline();
+        });
+        dialog.querySelector('.preprocess-cancel').addEventListener('click', () => this.finish(null));
+        dialog.querySelector('.preprocess-originals').addEventListener('click', () => {
+            this.finish(this.entries.map(entry => entry.file));
+        });
+        dialog.querySelector('.preprocess-upload').addEventListener('click', () => this.processAll());
+
+        dialog.addEventListener('keydown', (e) => {
+            // Keep viewer shortcuts out of the dialog
+            e.stopPropagation();
+            if (e.key === 'Escape') this.finish(null);
+        });
+        dialog.addEventListener('pointerdown', (e) => this.startDrag(e));
+        dialog.addEventListener('pointermove', (e) => this.moveDrag(e));
+        dialog.addEventListener('pointerup', () => { this.drag = null; });
+        dialog.addEventListener('pointercancel', () => { this.drag = null; });
+
+        return dialog;
+    }
+
+    // Corners as fractions of the (rotated) image: top-left, top-right, bottom-right, bottom-left
+    static fullFrame() {
+        return [[0, 0], [1, 0], [1, 1], [0, 1]];
+    }
+
+    // Resolves with the files to upload, or null when cancelled
+    prepare(files) {
+        if (this.resolve) {
+            return Promise.reject(new Error('Already preparing other images'));
+        }
+
+        this.entries = files.map(file => ({ file, bitmap: null, corners: ImagePreprocessor.fullFrame(), rotation: 0, error: null }));
+        this.dialog.hidden = false;
+        this.setBusy(false);
+        this.show(0);
+        this.dialog.querySelector('.preprocess-upload').focus();
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    finish(files) {
+        if (!this.resolve || this.busy) return;
+        this.dialog.hidden = true;
+        this.entries.forEach(entry => entry.bitmap?.close());
+        this.entries = [];
+        this.resolve(files);
+        this.resolve = null;
+    }
+
+    // Decoding applies the EXIF orientation, so the bitmap is already the right way up
+    decode(entry) {
+        if (!entry.decoding) {
+            entry.decoding = createImageBitmap(entry.file, { imageOrientation: 'from-image' })
+                .then(bitmap => {
+                    entry.bitmap = bitmap;
+                })
+                .catch(error => {
+                    // Uploaded as is; the server says whether it can read it
+                    entry.error = error;
+                });
+        }
+        return entry.decoding;
+    }
+
+    show(index) {
+        if (index < 0 || index >= this.entries.length) return;
+        this.index = index;
+        const entry = this.entries[index];
+
+        this.dialog.querySelector('.preprocess-name').textContent = entry.file.name;
+        this.dialog.querySelector('.preprocess-count').textContent =
+            this.entries.length > 1 ? `${index + 1} of ${this.entries.length}` : '';
+        this.dialog.querySelector('.preprocess-prev').disabled = index === 0;
+        this.dialog.querySelector('.preprocess-next').disabled = index === this.entries.length - 1;
+
+        this.decode(entry).then(() => {
+            if (this.entries[this.index] === entry) this.drawPreview();
+        });
+    }
+
+    rotate() {
+        const entry = this.entries[this.index];
+        entry.rotation = (entry.rotation + 90) % 360;
+        // Turn the corners with the image; the old bottom-left becomes the top-left
+        const [tl, tr, br, bl] = entry.corners.map(([x, y]) => [1 - y, x]);
+        entry.corners = [bl, tl, tr, br];
+        this.drawPreview();
+    }
+
+    drawPreview() {
+        const entry = this.entries[this.index];
+        const ctx = this.canvas.getContext('2d');
+        if (!entry.bitmap) {
+            this.canvas.width = 320;
+            this.canvas.height = 180;
+            ctx.fillStyle = '#2b2b2b';
+            ctx.fillRect(0, 0, 320, 180);
+            this.stage.classList.add('unreadable');
+            this.setStatus(entry.error ? 'No preview; this file will be uploaded as is' : 'Loading...');
+            return;
+        }
+
+        this.stage.classList.remove('unreadable');
+        this.setStatus('');
+        const { width, height } = ImagePreprocessor.rotatedSize(entry.bitmap, entry.rotation);
+        const maxWidth = Math.min(720, window.innerWidth - 80);
+        const maxHeight = Math.max(200, window.innerHeight - 320);
+        const scale = Math.min(1, maxWidth / width, maxHeight / height);
+
+        this.canvas.width = Math.round(width * scale);
+        this.canvas.height = Math.round(height * scale);
+        ImagePreprocessor.drawRotated(ctx, entry.bitmap, entry.rotation, this.canvas.width, this.canvas.height);
+        this.drawOutline();
+    }
+
+    drawOutline() {
+        const entry = this.entries[this.index];
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        this.outline.ownerSVGElement.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        this.outline.setAttribute('points', entry.corners.map(([x, y]) => `${x * width},${y * height}`).join(' '));
+        this.handles.forEach((handle, i) => {
+            handle.style.left = `${entry.corners[i][0] * 100}%`;
+            handle.style.top = `${entry.corners[i][1] * 100}%`;
+        });
+    }
+
+    // Corner dragging
+    startDrag(e) {
+        const corner = this.handles.indexOf(e.target);
+        if (corner === -1) return;
+        e.preventDefault();
+        e.target.setPointerCapture(e.pointerId);
+        this.drag = corner;
+    }
+
+    moveDrag(e) {
+        if (this.drag === null) return;
+        const rect = this.canvas.getBoundingClientRect();
+        const x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        const y = Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height));
+        this.entries[this.index].corners[this.drag] = [x, y];
+        this.drawOutline();
+    }
+
+    // Processing
+    async processAll() {
+        if (this.busy) return;
+        this.setBusy(true);
+        const files = [];
+        try {
+            for (let i = 0; i < this.entries.length; i++) {
+                this.setStatus(this.entries.length > 1 ? `Processing ${i + 1} of ${this.entries.length}...` : 'Processing...');
+                const entry = this.entries[i];
+                await this.decode(entry);
+                files.push(entry.bitmap ? await this.process(entry) : entry.file);
+            }
+        } catch (error) {
+            this.setBusy(false);
+            this.setStatus(error.message);
+            return;
+        }
+        this.setBusy(false);
+        this.finish(files);
+    }
+
+    async process(entry) {
+        const { maxSize, format, quality } = this.settings;
+        const { width, height } = ImagePreprocessor.rotatedSize(entry.bitmap, entry.rotation);
+        const source = document.createElement('canvas');
+        source.width = width;
+        source.height = height;
+        ImagePreprocessor.drawRotated(source.getContext('2d'), entry.bitmap, entry.rotation, width, height);
+
+        const points = entry.corners.map(([x, y]) => [x * width, y * height]);
+        const [tl, tr, br, bl] = points;
+        const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+        const cropWidth = Math.max(distance(tl, tr), distance(bl, br));
+        const cropHeight = Math.max(distance(tl, bl), distance(tr, br));
+        if (cropWidth < 8 || cropHeight < 8) {
+            throw new Error(`The corners of ${entry.file.name} are too close together`);
+        }
+
+        const scale = maxSize ? Math.min(1, maxSize / Math.max(cropWidth, cropHeight)) : 1;
+        const outWidth = Math.max(1, Math.round(cropWidth * scale));
+        const outHeight = Math.max(1, Math.round(cropHeight * scale));
+
+        const output = document.createElement('canvas');
+        output.width = outWidth;
+        output.height = outHeight;
+        const ctx = output.getContext('2d');
+        if (format === 'image/jpeg') {
+            ctx.fillStyle = '#ffffff'; // JPEG has no transparency
+            ctx.fillRect(0, 0, outWidth, outHeight);
+        }
+        ctx.imageSmoothingQuality = 'high';
+
+        const rectangular = Math.abs(tl[1] - tr[1]) < 0.5 && Math.abs(bl[1] - br[1]) < 0.5 &&
+                            Math.abs(tl[0] - bl[0]) < 0.5 && Math.abs(tr[0] - br[0]) < 0.5;
+        if (rectangular) {
+            ctx.drawImage(source, tl[0], tl[1], tr[0] - tl[0], bl[1] - tl[1], 0, 0, outWidth, outHeight);
+        } else {
+            ctx.drawImage(ImagePreprocessor.warp(source, points, outWidth, outHeight, scale), 0, 0);
+        }
+
+        let blob = await new Promise(resolve => output.toBlob(resolve, format, quality));
+        if (!blob || blob.type !== format) {
+            // Browsers that can't encode WebP hand back a PNG instead
+            blob = await new Promise(resolve => output.toBlob(resolve, 'image/jpeg', quality));
+        }
+        const extension = { 'image/webp': 'webp', 'image/jpeg': 'jpg', 'image/png': 'png' }[blob.type];
+        const name = entry.file.name.replace(/\.[^.]*$/, '') + '.' + extension;
+        return new File([blob], name, { type: blob.type });
+    }
+
+    // Perspective correction: map the quad onto a width x height rectangle, sampling the source
+    // bilinearly through the homography from output pixels back to source pixels
+    static warp(source, points, width, height, scale) {
+        // Shrink big sources first, so heavy downscaling doesn't alias and the loop stays short
+        if (scale < 0.5) {
+            const shrink = scale * 2;
+            const small = document.createElement('canvas');
+            small.width = Math.max(1, Math.round(source.width * shrink));
+            small.height = Math.max(1, Math.round(source.height * shrink));
+            small.getContext('2d').drawImage(source, 0, 0, small.width, small.height);
+            points = points.map(([x, y]) => [x * small.width / source.width, y * small.height / source.height]);
+            source = small;
+        }
+
+        const h = ImagePreprocessor.homography(
+            [[0, 0], [width, 0], [width, height], [0, height]],
+            points
+        );
+        const src = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+        const out = new ImageData(width, height);
+        const sw = source.width;
+        const sh = source.height;
+
+        for (let v = 0; v < height; v++) {
+            for (let u = 0; u < width; u++) {
+                const cu = u + 0.5;
+                const cv = v + 0.5;
+                const w = h[6] * cu + h[7] * cv + 1;
+                const x = (h[0] * cu + h[1] * cv + h[2]) / w - 0.5;
+                const y = (h[3] * cu + h[4] * cv + h[5]) / w - 0.5;
+
+                const x0 = Math.max(0, Math.min(sw - 1, Math.floor(x)));
+                const y0 = Math.max(0, Math.min(sh - 1, Math.floor(y)));
+                const x1 = Math.min(sw - 1, x0 + 1);
+                const y1 = Math.min(sh - 1, y0 + 1);
+                const fx = Math.max(0, Math.min(1, x - x0));
+                const fy = Math.max(0, Math.min(1, y - y0));
+
+                const o = (v * width + u) * 4;
+                for (let c = 0; c < 4; c++) {
+                    const top = src.data[(y0 * sw + x0) * 4 + c] * (1 - fx) + src.data[(y0 * sw + x1) * 4 + c] * fx;
+                    const bottom = src.data[(y1 * sw + x0) * 4 + c] * (1 - fx) + src.data[(y1 * sw + x1) * 4 + c] * fx;
+                    out.data[o + c] = top * (1 - fy) + bottom * fy;
+                }
+            }
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(out, 0, 0);
+        return canvas;
+    }
+
+    // The 3x3 projective transform (h[8] = 1) taking each from[i] to to[i], for four point pairs
+    static homography(from, to) {
+        const rows = [];
+        from.forEach(([u, v], i) => {
+            const [x, y] = to[i];
+            rows.push([u, v, 1, 0, 0, 0, -u * x, -v * x, x]);
+            rows.push([0, 0, 0, u, v, 1, -u * y, -v * y, y]);
+        });
+
+        // Gaussian elimination with partial pivoting on the 8x9 augmented matrix
+        for (let col = 0; col < 8; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < 8; row++) {
+                if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+            }
+            [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+            if (Math.abs(rows[col][col]) < 1e-12) {
+                throw new Error('The corners must not lie on one line');
+            }
+            for (let row = 0; row < 8; row++) {
+                if (row === col) continue;
+                const factor = rows[row][col] / rows[col][col];
+                for (let k = col; k < 9; k++) {
+                    rows[row][k] -= factor * rows[col][k];
+                }
+            }
+        }
+        return rows.map((row, i) => row[8] / row[i]);
+    }
+
+    static rotatedSize(bitmap, rotation) {
+        return rotation % 180 === 0
+            ? { width: bitmap.width, height: bitmap.height }
+            : { width: bitmap.height, height: bitmap.width };
+    }
+
+    static drawRotated(ctx, bitmap, rotation, width, height) {
+        const sideways = rotation % 180 !== 0;
+        ctx.save();
+        ctx.translate(width / 2, height / 2);
+        ctx.rotate(rotation * Math.PI / 180);
+        ctx.drawImage(bitmap, -(sideways ? height : width) / 2, -(sideways ? width : height) / 2,
+                      sideways ? height : width, sideways ? width : height);
+        ctx.restore();
+    }
+
+    setBusy(busy) {
+        this.busy = busy;
+        this.dialog.querySelectorAll('button, select, input').forEach(control => {
+            control.disabled = busy;
+        });
+        if (!busy && this.entries.length > 0) {
+            this.dialog.querySelector('.preprocess-prev').disabled = this.index === 0;
+            this.dialog.querySelector('.preprocess-next').disabled = this.index === this.entries.length - 1;
+        }
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImagePreprocessor;
+}
@@ -0,0 +1,202 @@
+// Fullscreen slideshow. Navigation goes through the viewer (nextPage/previousPage/goToPage),
+// so leaving the slideshow returns to the viewer on the slide that was last shown.
+class Presentation {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.isActive = false;
+        this.laserEnabled = true;
+        this.blank = null;       // 'black' | 'white' | null
+        this.images = new Map(); // image id -> loading promise
+        this.pointerStart = null;
+
+        this.overlay = this.build();
+        document.body.appendChild(this.overlay);
+        this.canvas = this.overlay.querySelector('.presentation-canvas');
+        this.laser = this.overlay.querySelector('.presentation-laser');
+
+        document.addEventListener('slideChanged', () => this.render());
+        document.addEventListener('annotationsChanged', (e) => {
+            if (e.detail.imageId === this.currentImageId()) this.render();
+        });
+        document.addEventListener('fullscreenchange', () => {
+            // Escape is consumed by the browser to leave fullscreen; follow it out of the slideshow
+            if (this.isActive && document.fullscreenElement !== this.overlay) {
+                this.exit();
+            }
+        });
+        this.registerShortcuts(viewer.shortcuts);
+        window.addEventListener('resize', () => this.render());
+    }
+
+    build() {
+        const overlay = document.createElement('div');
+        overlay.id = 'presentation';
+        overlay.className = 'presentation';
+        overlay.innerHTML = `
+            <canvas class="presentation-canvas"></canvas>
+            <div class="presentation-blank"></div>
+            <div class="presentation-laser"></div>
+            <div class="slide-counter presentation-counter"></div>
+        `;
+
+        overlay.addEventListener('pointerdown', (e) => {
+            this.pointerStart = { x: e.clientX, y: e.clientY };
+        });
+        overlay.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        overlay.addEventListener('pointermove', (e) => this.moveLaser(e));
+        overlay.addEventListener('pointerleave', () => this.laser.classList.remove('visible'));
+        overlay.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.viewer.previousPage();
+        });
+
+        return overlay;
+    }
+
+    enter() {
+        if (this.isActive || this.viewer.getSlides().length === 0) return;
+
+        if (this.viewer.isAnnotationMode) {
+            this.viewer.toggleAnnotation();
+        }
+
+        this.isActive = true;
+        this.setBlank(null);
+        this.overlay.classList.add('active');
+        this.overlay.classList.toggle('laser', this.laserEnabled);
+
+        if (this.overlay.requestFullscreen) {
+            this.overlay.requestFullscreen().catch(error => {
+                // The overlay still covers the window without the Fullscreen API
+                console.warn('Fullscreen unavailable:', error);
+            });
+        }
+
+        this.viewer.updateSlideCounter();
+        this.render();
+    }
+
+    exit() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.overlay.classList.remove('active');
+        this.laser.classList.remove('visible');
+        if (document.fullscreenElement === this.overlay) {
+            document.exitFullscreen().catch(() => {});
+        }
+
+        // Back to the viewer on the same slide, at the zoom it had before
+        this.viewer.renderPage();
+    }
+
+    // Only while the slideshow is showing; checked before the viewer's own shortcuts
+    registerShortcuts(shortcuts) {
+        const when = () => this.isActive;
+        const command = (id, label, keys, run) => shortcuts.register(id, { group: 'Slideshow', label, keys, run, when });
+
+        command('slideshow.next', 'Next slide', ['Space', 'Enter', 'N'], () => this.viewer.nextPage());
+        command('slideshow.previous', 'Previous slide', ['Backspace', 'P'], () => this.viewer.previousPage());
+        command('slideshow.black', 'Black screen', ['B'], () => this.setBlank(this.blank === 'black' ? null : 'black'));
+        command('slideshow.white', 'White screen', ['W'], () => this.setBlank(this.blank === 'white' ? null : 'white'));
+        command('slideshow.laser', 'Laser pointer', ['L'], () => {
+            this.laserEnabled = !this.laserEnabled;
+            this.overlay.classList.toggle('laser', this.laserEnabled);
+        });
+        command('slideshow.exit', 'End slideshow', ['Escape'], () => this.exit());
+    }
+
+    setBlank(color) {
+        this.blank = color;
+        this.overlay.dataset.blank = color || '';
+    }
+
+    // Tap/click advances (left edge goes back); a horizontal swipe changes slide
+    handlePointerUp(e) {
+        if (!this.pointerStart) return;
+
+        const dx = e.clientX - this.pointerStart.x;
+        const dy = e.clientY - this.pointerStart.y;
+        this.pointerStart = null;
+
+        if (this.blank) {
+            this.setBlank(null);
+            return;
+        }
+
+        if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+            if (dx < 0) {
+                this.viewer.nextPage();
+            } else {
+                this.viewer.previousPage();
+            }
+        } else if (Math.abs(dx) < 10 && Math.abs(dy) < 10 && e.button === 0) {
+            if (e.clientX < window.innerWidth / 4) {
+                this.viewer.previousPage();
+            } else {
+                this.viewer.nextPage();
+            }
+        }
+    }
+
+    moveLaser(e) {
+        if (!this.laserEnabled || e.pointerType === 'touch') return;
+        this.laser.style.transform = `translate(${e.clientX}px, ${e.clientY}px)`;
+        this.laser.classList.add('visible');
+    }
+
+    currentImageId() {
+        const slide = document.querySelector('.slide.current-slide');
+        return slide ? slide.dataset.imageId : null;
+    }
+
+    loadImage(imageId) {
+        if (!this.images.has(imageId)) {
+            this.images.set(imageId, AnnotationLayer.loadImage(`/image/${imageId}`));
+        }
+        return this.images.get(imageId);
+    }
+
+    // Draw the current slide scaled to fit the screen, with its annotations on top
+    render() {
+        if (!this.isActive) return;
+
+        const slide = document.querySelector('.slide.current-slide');
+        if (!slide) return;
+
+        const imageId = slide.dataset.imageId;
+        const rotation = parseInt(slide.dataset.rotation || 0);
+
+        Promise.all([this.loadImage(imageId), this.viewer.annotations.load(imageId)]).then(([img]) => {
+            if (!this.isActive || this.currentImageId() !== imageId) return;
+
+            const dpr = window.devicePixelRatio || 1;
+            const width = this.overlay.clientWidth;
+            const height = this.overlay.clientHeight;
+            this.canvas.width = Math.round(width * dpr);
+            this.canvas.height = Math.round(height * dpr);
+
+            const sideways = rotation % 180 !== 0;
+            const slideWidth = sideways ? img.naturalHeight : img.naturalWidth;
+            const slideHeight = sideways ? img.naturalWidth : img.naturalHeight;
+            const scale = Math.min(width / slideWidth, height / slideHeight) * dpr;
+
+            const ctx = this.canvas.getContext('2d');
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            ctx.translate(this.canvas.width / 2, this.canvas.height / 2);
+            ctx.rotate(rotation * Math.PI / 180);
+            ctx.scale(scale, scale);
+            ctx.translate(-img.naturalWidth / 2, -img.naturalHeight / 2);
+
+            ctx.drawImage(img, 0, 0);
+            const annotations = this.viewer.annotations;
+            annotations.visibleStrokes(imageId).forEach(stroke => AnnotationLayer.drawStroke(ctx, stroke));
+        }).catch(error => console.error('Presenting slide failed:', error));
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Presentation;
+}
@@ -0,0 +1,218 @@
+// Presenter view. The audience window (index.html, in slideshow mode) and the presenter console
+// (presenter.html) each run a PowerPointViewer and follow each other over a BroadcastChannel:
+// every window rebroadcasts its own slideChanged events, and the other window goes to that page.
+// The channel belongs to one deck and one audience window, which hands its id to the console in
+// the URL (/presenter?deck=3#sync=<id>), so other tabs and decks never pick up each other's slides.
+class PresenterSync {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.id = Math.random().toString(36).slice(2);
+        this.isPresenter = document.body.dataset.role === 'presenter';
+        this.active = this.isPresenter;
+        // The console joins its opener's channel; a console opened on its own follows nobody
+        this.session = this.isPresenter ? new URLSearchParams(window.location.hash.slice(1)).get('sync') : this.id;
+
+        if (!('BroadcastChannel' in window) || !this.session) return;
+        this.channel = new BroadcastChannel(`massey-presenter-${viewer.deckId}-${this.session}`);
+        this.channel.addEventListener('message', (e) => this.handleMessage(e.data));
+
+        document.addEventListener('slideChanged', (e) => {
+            this.post({ type: 'slide', page: e.detail.currentPage });
+        });
+        document.addEventListener('annotationsChanged', (e) => {
+            if (e.detail.remote) return;
+            this.post({
+                type: 'annotations',
+                imageId: e.detail.imageId,
+                strokes: this.viewer.annotations.strokes.get(e.detail.imageId) || []
+            });
+        });
+        document.addEventListener('annotationPreview', (e) => {
+            this.post({ type: 'preview', imageId: e.detail.imageId, stroke: e.detail.stroke });
+        });
+
+        if (this.isPresenter) {
+            this.post({ type: 'hello' }, true);
+            window.addEventListener('pagehide', () => this.post({ type: 'end' }));
+        }
+    }
+
+    // Audience side: start following the presenter window
+    start() {
+        this.active = true;
+        this.post({ type: 'slide', page: this.viewer.currentPage });
+    }
+
+    post(message, force = false) {
+        if (!this.channel || (!this.active && !force)) return;
+        this.channel.postMessage({ ...message, source: this.id });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'hello' && !this.isPresenter) {
+            // A presenter console opened; show the slideshow and tell it where we are
+            this.start();
+            this.viewer.present();
+            return;
+        }
+        if (!this.active) return;
+
+        switch (message.type) {
+            case 'slide':
+                if (message.page !== this.viewer.currentPage) {
+                    this.viewer.goToPage(message.page);
+                }
+                break;
+            case 'annotations':
+                this.viewer.annotations.applyRemote(message.imageId, message.strokes);
+                break;
+            case 'preview':
+                this.viewer.annotations.setPreview(message.source, message.imageId, message.stroke);
+                break;
+            case 'end':
+                if (!this.isPresenter) {
+                    this.active = false;
+                    this.viewer.presentation.exit();
+                }
+                break;
+        }
+    }
+}
+
+// Presenter console UI: next slide preview, speaker notes, elapsed timer and clock
+class PresenterConsole {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.elapsed = 0;
+        this.startedAt = Date.now();
+        this.running = true;
+        this.notesTimer = null;
+
+        this.timer = document.getElementById('presenter-timer');
+        this.clock = document.getElementById('presenter-clock');
+        this.notes = document.getElementById('presenter-notes');
+        this.next = document.getElementById('presenter-next');
+
+        this.bindEvents();
+        this.tick();
+        setInterval(() => this.tick(), 1000);
+        this.update();
+    }
+
+    bindEvents() {
+        document.addEventListener('slideChanged', () => this.update());
+        document.addEventListener('annotationsChanged', () => this.updateNext());
+
+        document.getElementById('presenter-prev')?.addEventListener('click', () => this.viewer.previousPage());
+        document.getElementById('presenter-forward')?.addEventListener('click', () => this.viewer.nextPage());
+        document.getElementById('presenter-pause')?.addEventListener('click', (e) => this.togglePause(e.currentTarget));
+        document.getElementById('presenter-reset')?.addEventListener('click', () => this.resetTimer());
+        document.getElementById('presenter-end')?.addEventListener('click', () => window.close());
+
+        if (this.notes) {
+            // Typing notes must not trigger slide shortcuts
+            this.notes.addEventListener('keydown', (e) => e.stopPropagation());
+            this.notes.addEventListener('input', () => this.scheduleNotesSave());
+        }
+    }
+
+    currentSlide() {
+        return document.querySelector('.slide.current-slide');
+    }
+
+    update() {
+        const slide = this.currentSlide();
+        if (this.notes && slide) {
+            this.saveNotes();
+            this.notes.value = slide.dataset.notes || '';
+            this.notes.dataset.imageId = slide.dataset.imageId;
+        }
+        this.updateNext();
+    }
+
+    updateNext() {
+        if (!this.next) return;
+
+        const nextSlide = this.viewer.getSlides()[this.viewer.currentPage]; // currentPage is 1-based
+        if (!nextSlide) {
+            this.next.innerHTML = '<div class="presenter-end-message">End of presentation</div>';
+            return;
+        }
+
+        const imageId = nextSlide.dataset.imageId;
+        this.viewer.annotations.renderSlide(imageId, {
+            rotation: parseInt(nextSlide.dataset.rotation || 0),
+            maxSize: 800
+        }).then(canvas => {
+            // Ignore stale renders if the presenter moved on meanwhile
+            const expected = this.viewer.getSlides()[this.viewer.currentPage];
+            if (!expected || expected.dataset.imageId !== imageId) return;
+            canvas.className = 'presenter-next-canvas';
+            this.next.replaceChildren(canvas);
+        }).catch(error => console.error('Rendering next slide failed:', error));
+    }
+
+    // Timer and clock
+    tick() {
+        const elapsed = this.running ? this.elapsed + (Date.now() - this.startedAt) : this.elapsed;
+        if (this.timer) {
+            this.timer.textContent = PresenterConsole.formatDuration(elapsed);
+        }
+        if (this.clock) {
+            this.clock.textContent = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        }
+    }
+
+    togglePause(button) {
+        if (this.running) {
+            this.elapsed += Date.now() - this.startedAt;
+        } else {
+            this.startedAt = Date.now();
+        }
+        this.running = !this.running;
+        if (button) {
+            button.classList.toggle('paused', !this.running);
+            button.title = this.running ? 'Pause timer' : 'Resume timer';
+        }
+        this.tick();
+    }
+
+    resetTimer() {
+        this.elapsed = 0;
+        this.startedAt = Date.now();
+        this.tick();
+    }
+
+    static formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+    }
+
+    // Speaker notes
+    scheduleNotesSave() {
+        clearTimeout(this.notesTimer);
+        this.notesTimer = setTimeout(() => this.saveNotes(), 600);
+    }
+
+    saveNotes() {
+        clearTimeout(this.notesTimer);
+        this.notesTimer = null;
+
+        const imageId = this.notes.dataset.imageId;
+        const slide = imageId && document.querySelector(`.slide[data-image-id="${imageId}"]`);
+        if (!slide || (slide.dataset.notes || '') === this.notes.value) return;
+
+        slide.dataset.notes = this.notes.value;
+        fetch(`/notes/${imageId}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ notes: this.notes.value })
+        }).catch(error => console.error('Saving notes failed:', error));
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PresenterSync, PresenterConsole };
+}
@@ -0,0 +1,243 @@
+// Print dialog: builds a dedicated print DOM (#print-root) for the chosen layout and page range
+// instead of toggling the live viewer, then hands it to window.print().
+class PrintDialog {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.layouts = {
+            slides: { label: 'Full page slides', perPage: 1, orientation: 'landscape' },
+            'handout-2': { label: 'Handouts (2 per page)', perPage: 2, orientation: 'portrait' },
+            'handout-3': { label: 'Handouts (3 per page, with lines)', perPage: 3, orientation: 'portrait' },
+            'handout-6': { label: 'Handouts (6 per page)', perPage: 6, orientation: 'portrait' },
+            notes: { label: 'Notes pages', perPage: 1, orientation: 'portrait' }
+        };
+        this.objectUrls = [];
+
+        this.dialog = this.build();
+        document.body.appendChild(this.dialog);
+        window.addEventListener('afterprint', () => this.cleanup());
+    }
+
+    build() {
+        const dialog = document.createElement('dialog');
+        dialog.id = 'print-dialog';
+        dialog.className = 'print-dialog';
+        dialog.innerHTML = `
+            <form method="dialog" class="print-form">
+                <h3>Print</h3>
+                <fieldset>
+                    <legend>Layout</legend>
+                    ${Object.entries(this.layouts).map(([value, layout], i) => `
+                        <label><input type="radio" name="layout" value="${value}" ${i === 0 ? 'checked' : ''}> ${layout.label}</label>
+                    `).join('')}
+                </fieldset>
+                <label class="print-range-label">
+                    Slides
+                    <input type="text" name="range" placeholder="All (e.g. 1-5,8)" autocomplete="off">
+                </label>
+                <label><input type="checkbox" name="annotations" checked> Include annotations</label>
+                <p class="print-error" role="alert"></p>
+                <div class="print-actions">
+                    <button type="button" value="cancel" class="print-cancel">Cancel</button>
+                    <button type="submit" value="print" class="print-submit">Print</button>
+                </div>
+            </form>
+        `;
+
+        // Keep viewer shortcuts (arrows, Home/End) out of the dialog's inputs
+        dialog.addEventListener('keydown', (e) => e.stopPropagation());
+        dialog.querySelector('.print-cancel').addEventListener('click', () => dialog.close());
+        dialog.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        return dialog;
+    }
+
+    open() {
+        this.dialog.querySelector('.print-error').textContent = '';
+        this.dialog.querySelector('.print-submit').disabled = false;
+        this.dialog.showModal();
+    }
+
+    submit() {
+        const form = this.dialog.querySelector('form');
+        const error = this.dialog.querySelector('.print-error');
+        const options = {
+            layout: form.elements.layout.value,
+            annotations: form.elements.annotations.checked
+        };
+
+        let pages;
+        try {
+            pages = PrintDialog.parseRange(form.elements.range.value, this.viewer.totalPages);
+        } catch (e) {
+            error.textContent = e.message;
+            return;
+        }
+
+        const slides = Array.from(this.viewer.getSlides());
+        if (slides.length === 0) {
+            error.textContent = 'There are no slides to print yet.';
+            return;
+        }
+
+        error.textContent = '';
+        form.querySelector('.print-submit').disabled = true;
+
+        this.buildPrintDom(pages.map(page => slides[page - 1]), options)
+            .then(() => {
+                this.dialog.close();
+                this.print();
+            })
+            .catch(e => {
+                console.error('Preparing print failed:', e);
+                error.textContent = 'Could not prepare the slides for printing.';
+                form.querySelector('.print-submit').disabled = false;
+            });
+    }
+
+    // "1-5,8" -> [1, 2, 3, 4, 5, 8]; empty means every slide
+    static parseRange(text, total) {
+        const value = text.trim();
+        if (!value) {
+            return Array.from({ length: total }, (_, i) => i + 1);
+        }
+
+        const pages = new Set();
+        value.split(',').forEach(part => {
+            const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+            if (!match) {
+                throw new Error(`"${part.trim()}" is not a slide number or range.`);
+            }
+
+            const start = parseInt(match[1]);
+            const end = match[2] ? parseInt(match[2]) : start;
+            if (start < 1 || end > total || start > end) {
+                throw new Error(`Slides must be between 1 and ${total}.`);
+            }
+            for (let page = start; page <= end; page++) {
+                pages.add(page);
+            }
+        });
+        return Array.from(pages).sort((a, b) => a - b);
+    }
+
+    async buildPrintDom(slides, options) {
+        this.cleanup();
+        const layout = this.layouts[options.layout];
+
+        const root = document.createElement('div');
+        root.id = 'print-root';
+        root.className = `print-layout-${options.layout}`;
+
+        // Render sequentially so long decks don't decode every slide at once
+        const items = [];
+        for (const slide of slides) {
+            const imageId = slide.dataset.imageId;
+            const canvas = await this.viewer.annotations.renderSlide(imageId, {
+                annotations: options.annotations,
+                rotation: parseInt(slide.dataset.rotation || 0),
+                maxSize: 2000
+            });
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+            const url = URL.createObjectURL(blob);
+            this.objectUrls.push(url);
+
+            await this.viewer.annotations.load(imageId);
+            items.push({
+                number: parseInt(slide.dataset.slide),
+                url,
+                notes: this.viewer.annotations.textNotes(imageId)
+            });
+        }
+
+        for (let i = 0; i < items.length; i += layout.perPage) {
+            const page = document.createElement('section');
+            page.className = 'print-page';
+            items.slice(i, i + layout.perPage).forEach(item => {
+                page.appendChild(this.buildItem(item, options.layout));
+            });
+            root.appendChild(page);
+        }
+
+        const style = document.createElement('style');
+        style.id = 'print-page-style';
+        style.textContent = `@page { size: ${layout.orientation}; margin: 12mm; }`;
+
+        document.head.appendChild(style);
+        document.body.appendChild(root);
+
+        // Make sure every image is decoded before the print preview is generated
+        await Promise.all(Array.from(root.querySelectorAll('img')).map(img => img.decode().catch(() => {})));
+    }
+
+    buildItem(item, layoutName) {
+        const element = document.createElement('div');
+        element.className = 'print-item';
+
+        const img = document.createElement('img');
+        img.src = item.url;
+        img.alt = `Slide ${item.number}`;
+
+        const figure = document.createElement('figure');
+        figure.className = 'print-slide';
+        figure.appendChild(img);
+        if (layoutName !== 'slides') {
+            const caption = document.createElement('figcaption');
+            caption.textContent = `Slide ${item.number}`;
+            figure.appendChild(caption);
+        }
+        element.appendChild(figure);
+
+        if (layoutName === 'handout-3') {
+            const lines = document.createElement('div');
+            lines.className = 'print-lines';
+            element.appendChild(lines);
+        }
+
+        if (layoutName === 'notes') {
+            const notes = document.createElement('div');
+            notes.className = 'print-notes';
+            if (item.notes.length === 0) {
+                notes.classList.add('empty');
+                notes.textContent = 'No notes for this slide.';
+            }
+            item.notes.forEach(text => {
+                const paragraph = document.createElement('p');
+                paragraph.textContent = text;
+                notes.appendChild(paragraph);
+            });
+            element.appendChild(notes);
+        }
+
+        return element;
+    }
+
+    print() {
+        const originalTitle = document.title;
+        document.title = this.viewer.getDocumentTitle();
+        this.restoreTitle = () => {
+            document.title = originalTitle;
+        };
+
+        window.print();
+    }
+
+    cleanup() {
+        document.getElementById('print-root')?.remove();
+        document.getElementById('print-page-style')?.remove();
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+
+        if (this.restoreTitle) {
+            this.restoreTitle();
+            this.restoreTitle = null;
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrintDialog;
+}
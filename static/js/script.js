@@ -4,17 +4,323 @@ class PowerPointViewer {
         this.currentPage = 1;
         this.totalPages = 1;
         this.zoomLevel = 100;
+        this.pan = { x: 0, y: 0 }; // how far a zoomed-in slide has been dragged (single page mode)
         this.rotation = 0;
         this.isAnnotationMode = false;
-        this.history = [];
-        this.historyIndex = -1;
+        this.viewMode = 'single'; // 'single' page at a time or continuous 'scroll'
+        this.deckId = document.body.dataset.deckId || null; // deck on screen
+        this.trackHash = false; // the URL hash follows page and zoom once a deep link has been restored
+
+        // Undoable edits (annotations, uploads, deletions, rotations) are kept apart from the
+        // page/zoom trail used for back/forward navigation
+        this.history = new CommandHistory(() => this.updateUndoRedoButtons());
+        this.viewHistory = [];
+        this.viewIndex = -1;
 
         this.init();
     }
 
     init() {
+        this.shortcuts = new ShortcutRegistry();
+        this.offline = new OfflineStore();
+        this.annotations = new AnnotationLayer(this);
+        this.toolbox = new AnnotationToolbox(this.annotations);
+        this.printDialog = new PrintDialog(this);
+        this.presentation = new Presentation(this);
+        this.scrollView = new ScrollView(this);
+        this.search = new SlideSearch(this);
+        this.gestures = new TouchGestures(this);
         this.bindEvents();
+        this.loadSlides();
         this.updateUI();
+
+        if (document.getElementById('viewMode') && localStorage.getItem('viewMode') === 'scroll') {
+            this.setViewMode('scroll');
+        }
+
+        // Deep links like /deck/3#page=5&zoom=150 open at that page and zoom
+        if (document.body.dataset.role !== 'presenter') {
+            this.restoreFromHash();
+            this.trackHash = true;
+            this.updateHash();
+            window.addEventListener('hashchange', () => this.restoreFromHash());
+        }
+
+        // Created after the first render so a new window doesn't broadcast its initial page
+        this.sync = new PresenterSync(this);
+        if (document.body.dataset.role !== 'presenter') {
+            this.collab = new CollabSession(this);
+        }
+    }
+
+    // Slides are the uploaded images rendered by the "/" route, one per [data-slide]
+    getSlides() {
+        return document.querySelectorAll('.slide[data-slide]');
+    }
+
+    loadSlides() {
+        const slides = Array.from(this.getSlides());
+
+        // Renumber after uploads, deletions or reordering, keeping the current slide in view
+        const current = slides.findIndex(slide => slide.classList.contains('current-slide'));
+        slides.forEach((slide, index) => {
+            slide.dataset.slide = index + 1;
+        });
+        if (current !== -1) {
+            this.currentPage = current + 1;
+        }
+
+        this.setTotalPages(slides.length);
+        if (slides.length > 0) {
+            this.renderPage();
+        }
+
+        document.dispatchEvent(new CustomEvent('slidesLoaded', {
+            detail: {
+                totalPages: this.totalPages
+            }
+        }));
+    }
+
+    // Slide edits
+    createSlideElement(image) {
+        const slide = document.createElement('div');
+        slide.className = 'image-wrapper slide';
+        slide.dataset.imageId = image.id;
+        slide.innerHTML = `
+            <div class="slide-content">
+                <img>
+            </div>
+            <form action="/delete/${image.id}" method="POST">
+                <button type="submit" class="delete-btn">D</button>
+            </form>
+        `;
+
+        if (image.width && image.height) {
+            slide.dataset.width = image.width;
+            slide.dataset.height = image.height;
+        }
+
+        const img = slide.querySelector('img');
+        img.dataset.src = image.url;
+        img.alt = image.filename;
+        if (image.width && image.height) {
+            img.width = image.width;
+            img.height = image.height;
+        }
+        this.loadSlideImage(slide);
+        return slide;
+    }
+
+    // Slide images are only attached when needed (the template sets data-src), so long decks
+    // don't download and decode every slide up front. The smallest rendition that stays sharp
+    // at the current zoom is requested, and swapped for a bigger one when zooming in.
+    loadSlideImage(slide) {
+        const img = slide && slide.querySelector('.slide-content img');
+        if (!img || !img.dataset.src) return;
+
+        const sizes = ['thumb', 'medium', 'full'];
+        const rendition = this.renditionFor(slide);
+        // Never swap down: a sharper image that is already there stays
+        if (!img.getAttribute('src') || sizes.indexOf(rendition) > sizes.indexOf(img.dataset.rendition)) {
+            img.dataset.rendition = rendition;
+            img.src = rendition === 'full' ? img.dataset.src : `${img.dataset.src}?size=${rendition}`;
+        }
+    }
+
+    unloadSlideImage(slide) {
+        const img = slide.querySelector('.slide-content img');
+        if (img && img.dataset.src) {
+            img.removeAttribute('src');
+            delete img.dataset.rendition;
+        }
+    }
+
+    // Renditions served by /image/<id>?size=..., by the longest side in pixels
+    renditionFor(slide) {
+        const width = parseInt(slide.dataset.width);
+        const height = parseInt(slide.dataset.height);
+        if (!width || !height) return 'full';
+
+        // Screen pixels the slide covers: its laid-out width, zoomed, on this display
+        const container = document.getElementById('document-container');
+        const layoutWidth = this.viewMode === 'scroll'
+            ? this.scrollView.pageWidth
+            : Math.min(width, container ? container.clientWidth : width);
+        const scale = layoutWidth / width * (this.zoomLevel / 100) * (window.devicePixelRatio || 1);
+        const needed = Math.max(width, height) * scale;
+
+        if (needed <= 320) return 'thumb';
+        if (needed <= 1280) return 'medium';
+        return 'full';
+    }
+
+    insertSlide(slide, index) {
+        const container = document.getElementById('images-container');
+        const before = this.getSlides()[index] || document.getElementById('searchResult');
+        container.insertBefore(slide, before);
+        this.loadSlides();
+    }
+
+    showImage(imageId) {
+        const slide = document.querySelector(`.slide[data-image-id="${imageId}"]`);
+        if (slide && parseInt(slide.dataset.slide) !== this.currentPage) {
+            this.goToPage(parseInt(slide.dataset.slide));
+        }
+    }
+
+    // Upload one image and append it as a slide (undoable). XHR rather than fetch for upload
+    // progress: onProgress gets the fraction sent. Failures carry the server's error code and
+    // whether trying again could help.
+    uploadImage(file, onProgress) {
+        const formData = new FormData();
+        formData.append('image', file);
+        if (this.deckId) {
+            formData.append('deck_id', this.deckId);
+        }
+
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', '/upload');
+            xhr.setRequestHeader('Accept', 'application/json');
+            xhr.responseType = 'json';
+
+            if (onProgress) {
+                xhr.upload.addEventListener('progress', (e) => {
+                    if (e.lengthComputable) onProgress(e.loaded / e.total);
+                });
+            }
+            xhr.addEventListener('load', () => {
+                const data = xhr.response || {};
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    resolve(data);
+                    return;
+                }
+                const error = new Error(data.error || `Upload failed with status ${xhr.status}`);
+                error.code = data.code;
+                error.retryable = xhr.status >= 500 || xhr.status === 429;
+                reject(error);
+            });
+            xhr.addEventListener('error', () => {
+                const error = new Error('Network error');
+                error.retryable = true;
+                reject(error);
+            });
+            xhr.send(formData);
+        }).then(image => {
+            const slide = this.createSlideElement(image);
+            const index = this.getSlides().length;
+            this.insertSlide(slide, index);
+
+            this.history.push({
+                label: 'upload',
+                undo: () => this.removeSlide(slide),
+                redo: () => this.restoreSlide(slide, index)
+            });
+            return slide;
+        });
+    }
+
+    // Split a .pptx or .pdf into slides on the server and open the new deck
+    importDeck(file) {
+        const formData = new FormData();
+        formData.append('file', file);
+
+        return fetch('/import', {
+            method: 'POST',
+            headers: { 'Accept': 'application/json' },
+            body: formData
+        }).then(response => response.json().then(data => {
+            if (!response.ok) {
+                throw new Error(data.error || `Import failed with status ${response.status}`);
+            }
+            window.location.href = data.url;
+            return data;
+        }));
+    }
+
+    deleteSlide(slide) {
+        const index = Array.from(this.getSlides()).indexOf(slide);
+
+        return this.removeSlide(slide).then(() => {
+            this.history.push({
+                label: 'delete slide',
+                undo: () => this.restoreSlide(slide, index),
+                redo: () => this.removeSlide(slide)
+            });
+        }).catch(error => alert(error.message));
+    }
+
+    // Deleted images are kept on the server until the next page load so they can be restored
+    removeSlide(slide) {
+        return fetch(`/delete/${slide.dataset.imageId}`, {
+            method: 'POST',
+            headers: { 'Accept': 'application/json' }
+        }).then(response => {
+            if (!response.ok) {
+                throw new Error(`Deleting slide failed with status ${response.status}`);
+            }
+            slide.remove();
+            slide.classList.remove('active', 'current-slide');
+            slide.style.display = '';
+            this.loadSlides();
+        });
+    }
+
+    restoreSlide(slide, index) {
+        return fetch(`/restore/${slide.dataset.imageId}`, {
+            method: 'POST',
+            headers: { 'Accept': 'application/json' }
+        }).then(response => {
+            if (!response.ok) {
+                throw new Error(`Restoring slide failed with status ${response.status}`);
+            }
+            this.insertSlide(slide, index);
+            this.goToPage(parseInt(slide.dataset.slide));
+            return this.saveSlideOrder();
+        });
+    }
+
+    reorderSlides(imageIds, recordHistory = true) {
+        const container = document.getElementById('images-container');
+        const slides = Array.from(this.getSlides());
+        const previousOrder = slides.map(slide => slide.dataset.imageId);
+        const byId = new Map(slides.map(slide => [slide.dataset.imageId, slide]));
+        const anchor = slides[slides.length - 1].nextSibling;
+
+        const applyOrder = (order) => {
+            order.forEach(id => container.insertBefore(byId.get(String(id)), anchor));
+            this.loadSlides();
+        };
+
+        applyOrder(imageIds);
+
+        return this.saveSlideOrder().then(() => {
+            if (recordHistory) {
+                this.history.push({
+                    label: 'reorder slides',
+                    undo: () => this.reorderSlides(previousOrder, false),
+                    redo: () => this.reorderSlides(imageIds, false)
+                });
+            }
+        }).catch(error => {
+            console.error('Saving slide order failed:', error);
+            applyOrder(previousOrder);
+        });
+    }
+
+    saveSlideOrder() {
+        const order = Array.from(this.getSlides()).map(slide => Number(slide.dataset.imageId));
+
+        return fetch('/reorder', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ order, deck_id: this.deckId ? Number(this.deckId) : null })
+        }).then(response => {
+            if (!response.ok) {
+                throw new Error(`Reorder failed with status ${response.status}`);
+            }
+        });
     }
 
     bindEvents() {
@@ -73,6 +379,49 @@ class PowerPointViewer {
         if (undoBtn) undoBtn.addEventListener('click', () => this.undo());
         if (redoBtn) redoBtn.addEventListener('click', () => this.redo());
 
+        // Slide deletion (delete buttons are forms so they also work without JS)
+        const imagesContainer = document.getElementById('images-container');
+        if (imagesContainer) {
+            imagesContainer.addEventListener('submit', (e) => {
+                const slide = e.target.closest('.slide');
+                if (slide) {
+                    e.preventDefault();
+                    this.deleteSlide(slide);
+                }
+            });
+        }
+
+        // Slideshow
+        const presentBtn = document.getElementById('present');
+        if (presentBtn) {
+            presentBtn.addEventListener('click', () => this.present());
+        }
+        const presenterBtn = document.getElementById('presenterView');
+        if (presenterBtn) {
+            presenterBtn.addEventListener('click', () => this.openPresenterView());
+        }
+
+        // Single page / continuous scroll
+        const viewModeBtn = document.getElementById('viewMode');
+        if (viewModeBtn) {
+            viewModeBtn.addEventListener('click', () => {
+                this.setViewMode(this.viewMode === 'scroll' ? 'single' : 'scroll');
+            });
+        }
+
+        // Find in slides
+        const findBtn = document.getElementById('find');
+        if (findBtn) {
+            findBtn.addEventListener('click', () => this.search.toggle());
+        }
+
+        // Available offline
+        const offlineBtn = document.getElementById('offlineToggle');
+        if (offlineBtn && this.deckId) {
+            this.offline.bindToggle(offlineBtn, this.deckId);
+            this.offline.watchDeck(this.deckId);
+        }
+
         // Download and Print
         const downloadBtn = document.querySelector('[title="Download"]');
         const printBtn = document.querySelector('[title="Print"]');
@@ -80,28 +429,32 @@ class PowerPointViewer {
         if (printBtn) printBtn.addEventListener('click', () => this.print());
 
         // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        this.registerShortcuts();
 
-        // Mouse wheel zoom (like PDF viewers)
+        // Mouse wheel zoom (like PDF viewers), around the pointer; trackpad pinches arrive as Ctrl+wheel too
         document.addEventListener('wheel', (e) => {
             if (e.ctrlKey) {
                 e.preventDefault();
-                if (e.deltaY < 0) {
-                    this.zoomIn();
-                } else {
-                    this.zoomOut();
-                }
+                const step = e.deltaY < 0 ? 25 : -25;
+                this.zoomAt(this.zoomLevel + step, e.clientX, e.clientY);
+                this.saveState();
             }
-        });
+        }, { passive: false });
     }
 
     // Page Navigation
     goToPage(pageNumber) {
         if (pageNumber >= 1 && pageNumber <= this.totalPages) {
+            if (pageNumber !== this.currentPage) {
+                this.pan = { x: 0, y: 0 };
+            }
             this.currentPage = pageNumber;
             this.updateUI();
             this.renderPage();
             this.saveState();
+        } else {
+            // Reset the page input if the requested page doesn't exist
+            this.updateUI();
         }
     }
 
@@ -135,10 +488,68 @@ class PowerPointViewer {
         this.saveState();
     }
 
+    // Zoom keeping the point under (clientX, clientY) in place, the way pinching and Ctrl+wheel should.
+    // Single page mode moves the slide (pan); scroll mode scrolls the page instead.
+    // Leaves saveState() to the caller, so a pinch is one step in the view history.
+    zoomAt(level, clientX, clientY) {
+        const under = document.elementFromPoint(clientX, clientY);
+        const slide = (under && under.closest('.slide')) || document.querySelector('.slide.current-slide');
+        const content = slide && slide.querySelector('.slide-content');
+        const before = content && content.getBoundingClientRect();
+        const anchored = Boolean(before && before.width);
+        // The point under the fingers, in unzoomed slide pixels from the slide's top left
+        const x = anchored ? (clientX - before.left) * 100 / this.zoomLevel : 0;
+        const y = anchored ? (clientY - before.top) * 100 / this.zoomLevel : 0;
+
+        this.zoomLevel = Math.round(Math.max(25, Math.min(500, level)));
+        const scale = this.zoomLevel / 100;
+        if (anchored && this.viewMode !== 'scroll') {
+            this.pan.x += clientX - x * scale - before.left;
+            this.pan.y += clientY - y * scale - before.top;
+        }
+        this.updateUI();
+        this.applyZoom();
+
+        if (anchored && this.viewMode === 'scroll') {
+            const after = content.getBoundingClientRect();
+            document.getElementById('document-viewer').scrollLeft += after.left + x * scale - clientX;
+            window.scrollBy(0, after.top + y * scale - clientY);
+        }
+    }
+
+    panBy(dx, dy) {
+        this.pan.x += dx;
+        this.pan.y += dy;
+        this.applyZoom();
+    }
+
+    // Keep a dragged slide on screen: once it's bigger than the window its edges can't come further
+    // in than a small margin, and a slide that fits stays where the layout puts it.
+    // Returns whether the pan had to change.
+    clampPan(content) {
+        const rect = content.getBoundingClientRect();
+        const toolbar = document.getElementById('toolbar');
+        const top = toolbar ? toolbar.getBoundingClientRect().bottom : 0;
+        const margin = 20;
+        const clamp = (pan, start, size, low, high) => {
+            const origin = start - pan; // where the slide sits without panning
+            if (size + 2 * margin <= high - low) return 0;
+            const min = Math.min(0, high - margin - origin - size);
+            const max = Math.max(0, low + margin - origin);
+            return Math.max(min, Math.min(max, pan));
+        };
+
+        const x = clamp(this.pan.x, rect.left, rect.width, 0, window.innerWidth);
+        const y = clamp(this.pan.y, rect.top, rect.height, top, window.innerHeight);
+        const changed = x !== this.pan.x || y !== this.pan.y;
+        this.pan = { x, y };
+        return changed;
+    }
+
     fitToWidth() {
         // Calculate zoom to fit content width
         const container = document.querySelector('.slide-container') || document.querySelector('.presentation-content') || document.body;
-        const content = document.querySelector('.slide-content') || document.querySelector('.presentation-content');
+        const content = this.getSlideContent();
 
         if (container && content) {
             const containerWidth = container.clientWidth - 40; // Account for padding
@@ -161,25 +572,97 @@ class PowerPointViewer {
         }
     }
 
+    getSlideContent() {
+        return document.querySelector('.current-slide .slide-content') ||
+               document.querySelector('.slide-content') ||
+               document.querySelector('.presentation-content');
+    }
+
     applyZoom() {
-        const content = document.querySelector('.slide-content') || document.querySelector('.presentation-content');
-        if (content) {
-            content.style.transform = `scale(${this.zoomLevel / 100}) rotate(${this.rotation}deg)`;
-            content.style.transformOrigin = 'top left';
+        if (this.viewMode === 'scroll') {
+            // Every slide is on screen, each with its own rotation
+            this.scrollView.layout();
+        } else {
+            const content = this.getSlideContent();
+            if (content) {
+                this.loadSlideImage(content.closest('.slide'));
+                const img = content.querySelector('img');
+                if (img && !img.complete) {
+                    // The offset for rotated slides depends on the image size
+                    img.addEventListener('load', () => this.applyZoom(), { once: true });
+                }
+                const transform = PowerPointViewer.slideTransform(
+                    content.offsetWidth, content.offsetHeight, this.zoomLevel / 100, this.rotation
+                );
+                content.style.transform = `translate(${this.pan.x}px, ${this.pan.y}px) ${transform}`;
+                content.style.transformOrigin = 'top left';
+                if (this.clampPan(content)) {
+                    content.style.transform = `translate(${this.pan.x}px, ${this.pan.y}px) ${transform}`;
+                }
+            }
+        }
+
+        // Re-rasterize annotations at the new scale so strokes stay sharp
+        if (this.annotations) {
+            this.annotations.redraw();
         }
     }
 
-    // Rotation
+    // Rotation (each slide keeps its own, saved with the image); an undoable edit like the others,
+    // recorded once the server has it
     rotate() {
-        this.rotation = (this.rotation + 90) % 360;
-        this.applyZoom();
-        this.saveState();
+        const slide = document.querySelector('.slide.current-slide');
+        if (!slide) return Promise.resolve();
+
+        const previous = parseInt(slide.dataset.rotation || 0);
+        const rotation = (previous + 90) % 360;
+        return this.setRotation(slide, rotation).then(() => {
+            this.history.push({
+                label: 'rotate slide',
+                undo: () => this.setRotation(slide, previous),
+                redo: () => this.setRotation(slide, rotation)
+            });
+        }).catch(error => alert(error.message));
+    }
 
-        // Visual feedback
-        const rotateBtn = document.getElementById('rotate');
-        if (rotateBtn) {
-            rotateBtn.style.transform = `rotate(${this.rotation}deg)`;
+    // Scale and rotate about the top-left corner, then shift the result back into the box the
+    // unrotated slide occupied so rotated slides don't end up off screen
+    static slideTransform(width, height, scale, rotation) {
+        const offsets = { 90: [height, 0], 180: [width, height], 270: [0, width] };
+        const [x, y] = offsets[rotation] || [0, 0];
+        return `translate(${x * scale}px, ${y * scale}px) scale(${scale}) rotate(${rotation}deg)`;
+    }
+
+    // Shown straight away; put back if the server doesn't take it
+    setRotation(slide, rotation) {
+        // Undoing from another page goes back to the slide, so the change is seen
+        if (!slide.classList.contains('current-slide')) {
+            this.goToPage(parseInt(slide.dataset.slide));
+        }
+        const previous = parseInt(slide.dataset.rotation || 0);
+        this.showRotation(slide, rotation);
+
+        return fetch(`/rotate/${slide.dataset.imageId}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rotation })
+        }).then(response => {
+            if (!response.ok) {
+                throw new Error(`Saving rotation failed with status ${response.status}`);
+            }
+        }).catch(error => {
+            this.showRotation(slide, previous);
+            throw error;
+        });
+    }
+
+    showRotation(slide, rotation) {
+        slide.dataset.rotation = rotation;
+        if (slide.classList.contains('current-slide')) {
+            this.rotation = rotation;
         }
+        this.applyZoom();
+        this.updateUI();
     }
 
     // Annotation mode
@@ -199,102 +682,87 @@ class PowerPointViewer {
     }
 
     enableDrawing() {
-        // Add drawing canvas overlay
-        const slideContainer = document.querySelector('.slide-container') || document.body;
-        if (!document.getElementById('drawing-canvas')) {
-            const canvas = document.createElement('canvas');
-            canvas.id = 'drawing-canvas';
-            canvas.style.position = 'absolute';
-            canvas.style.top = '0';
-            canvas.style.left = '0';
-            canvas.style.pointerEvents = 'auto';
-            canvas.style.cursor = 'crosshair';
-            slideContainer.appendChild(canvas);
-
-            this.setupDrawing(canvas);
-        }
+        this.annotations.enable();
+        this.toolbox.show();
     }
 
     disableDrawing() {
-        const canvas = document.getElementById('drawing-canvas');
-        if (canvas) {
-            canvas.style.pointerEvents = 'none';
-            canvas.style.cursor = 'default';
-        }
-    }
-
-    setupDrawing(canvas) {
-        const ctx = canvas.getContext('2d');
-        let isDrawing = false;
-
-        canvas.addEventListener('mousedown', (e) => {
-            if (this.isAnnotationMode) {
-                isDrawing = true;
-                ctx.beginPath();
-                ctx.moveTo(e.offsetX, e.offsetY);
-            }
-        });
-
-        canvas.addEventListener('mousemove', (e) => {
-            if (isDrawing && this.isAnnotationMode) {
-                ctx.lineTo(e.offsetX, e.offsetY);
-                ctx.stroke();
-            }
-        });
-
-        canvas.addEventListener('mouseup', () => {
-            if (isDrawing) {
-                isDrawing = false;
-                this.saveState();
-            }
-        });
+        this.annotations.disable();
+        this.toolbox.hide();
     }
 
-    // Undo/Redo functionality
+    // View-state navigation (page and zoom); kept out of the undo history
     saveState() {
         const state = {
             page: this.currentPage,
             zoom: this.zoomLevel,
-            rotation: this.rotation,
             timestamp: Date.now()
         };
 
         // Remove future states if we're not at the end
-        this.history = this.history.slice(0, this.historyIndex + 1);
-        this.history.push(state);
-        this.historyIndex = this.history.length - 1;
+        this.viewHistory = this.viewHistory.slice(0, this.viewIndex + 1);
+        this.viewHistory.push(state);
+        this.viewIndex = this.viewHistory.length - 1;
 
         // Limit history size
-        if (this.history.length > 50) {
-            this.history = this.history.slice(-50);
-            this.historyIndex = this.history.length - 1;
+        if (this.viewHistory.length > 50) {
+            this.viewHistory = this.viewHistory.slice(-50);
+            this.viewIndex = this.viewHistory.length - 1;
         }
-
-        this.updateUndoRedoButtons();
     }
 
-    undo() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            this.restoreState(this.history[this.historyIndex]);
+    back() {
+        if (this.viewIndex > 0) {
+            this.viewIndex--;
+            this.restoreState(this.viewHistory[this.viewIndex]);
         }
     }
 
-    redo() {
-        if (this.historyIndex < this.history.length - 1) {
-            this.historyIndex++;
-            this.restoreState(this.history[this.historyIndex]);
+    forward() {
+        if (this.viewIndex < this.viewHistory.length - 1) {
+            this.viewIndex++;
+            this.restoreState(this.viewHistory[this.viewIndex]);
         }
     }
 
     restoreState(state) {
-        this.currentPage = state.page;
+        this.currentPage = Math.min(state.page, this.totalPages);
         this.zoomLevel = state.zoom;
-        this.rotation = state.rotation;
         this.updateUI();
-        this.applyZoom();
         this.renderPage();
-        this.updateUndoRedoButtons();
+    }
+
+    restoreFromHash() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const zoom = parseInt(params.get('zoom'));
+        const page = parseInt(params.get('page'));
+
+        if (zoom && zoom !== this.zoomLevel) {
+            this.setZoom(zoom);
+        }
+        if (page && page !== this.currentPage) {
+            this.goToPage(page);
+        }
+    }
+
+    // Keep the address bar a shareable link to the current page and zoom
+    updateHash() {
+        if (!this.trackHash) return;
+
+        const hash = `#page=${this.currentPage}&zoom=${this.zoomLevel}`;
+        if (window.location.hash !== hash) {
+            // Replaced rather than pushed, so the browser's back button still leaves the deck
+            window.history.replaceState(null, '', hash);
+        }
+    }
+
+    // Undo/Redo functionality
+    undo() {
+        this.history.undo();
+    }
+
+    redo() {
+        this.history.redo();
     }
 
     updateUndoRedoButtons() {
@@ -302,72 +770,40 @@ class PowerPointViewer {
         const redoBtn = document.getElementById('redo');
 
         if (undoBtn) {
-            undoBtn.disabled = this.historyIndex <= 0;
+            undoBtn.disabled = !this.history.canUndo();
+            undoBtn.title = this.history.canUndo() ? `Undo ${this.history.undoLabel()}` : 'Undo';
         }
         if (redoBtn) {
-            redoBtn.disabled = this.historyIndex >= this.history.length - 1;
+            redoBtn.disabled = !this.history.canRedo();
+            redoBtn.title = this.history.canRedo() ? `Redo ${this.history.redoLabel()}` : 'Redo';
         }
     }
 
     // Keyboard shortcuts
-    handleKeyboard(e) {
-        // Prevent default browser shortcuts
-        if (e.ctrlKey) {
-            switch(e.key) {
-                case '=':
-                case '+':
-                    e.preventDefault();
-                    this.zoomIn();
-                    break;
-                case '-':
-                    e.preventDefault();
-                    this.zoomOut();
-                    break;
-                case '0':
-                    e.preventDefault();
-                    this.setZoom(100);
-                    break;
-                case 'z':
-                    e.preventDefault();
-                    if (e.shiftKey) {
-                        this.redo();
-                    } else {
-                        this.undo();
-                    }
-                    break;
-                case 'p':
-                    e.preventDefault();
-                    this.print();
-                    break;
-            }
-        }
-
-        // Navigation shortcuts
-        switch(e.key) {
-            case 'ArrowRight':
-            case 'PageDown':
-                e.preventDefault();
-                this.nextPage();
-                break;
-            case 'ArrowLeft':
-            case 'PageUp':
-                e.preventDefault();
-                this.previousPage();
-                break;
-            case 'Home':
-                e.preventDefault();
-                this.goToPage(1);
-                break;
-            case 'End':
-                e.preventDefault();
-                this.goToPage(this.totalPages);
-                break;
-            case 'Escape':
-                if (this.isAnnotationMode) {
-                    this.toggleAnnotation();
-                }
-                break;
-        }
+    registerShortcuts() {
+        const shortcuts = this.shortcuts;
+        const command = (id, group, label, keys, run, when) => shortcuts.register(id, { group, label, keys, run, when });
+
+        command('nav.next', 'Navigation', 'Next page', ['ArrowRight', 'PageDown'], () => this.nextPage());
+        command('nav.previous', 'Navigation', 'Previous page', ['ArrowLeft', 'PageUp'], () => this.previousPage());
+        command('nav.first', 'Navigation', 'First page', ['Home'], () => this.goToPage(1));
+        command('nav.last', 'Navigation', 'Last page', ['End'], () => this.goToPage(this.totalPages));
+        // Back/forward through previously viewed pages and zoom levels
+        command('nav.back', 'Navigation', 'Back', ['Alt+ArrowLeft'], () => this.back());
+        command('nav.forward', 'Navigation', 'Forward', ['Alt+ArrowRight'], () => this.forward());
+
+        command('view.zoomIn', 'View', 'Zoom in', ['Ctrl+=', 'Ctrl++'], () => this.zoomIn());
+        command('view.zoomOut', 'View', 'Zoom out', ['Ctrl+-'], () => this.zoomOut());
+        command('view.actualSize', 'View', 'Actual size', ['Ctrl+0'], () => this.setZoom(100));
+        command('view.find', 'View', 'Find in slides', ['Ctrl+F'], () => this.search.open());
+        command('view.present', 'View', 'Start slideshow', ['F5'], () => this.present());
+        command('view.presenter', 'View', 'Presenter view', ['Alt+F5'], () => this.openPresenterView());
+
+        command('edit.undo', 'Editing', 'Undo', ['Ctrl+Z'], () => this.undo());
+        command('edit.redo', 'Editing', 'Redo', ['Ctrl+Shift+Z', 'Ctrl+Y'], () => this.redo());
+        command('edit.print', 'Editing', 'Print', ['Ctrl+P'], () => this.print());
+        command('annotate.exit', 'Editing', 'Stop annotating', ['Escape'],
+            () => this.toggleAnnotation(), () => this.isAnnotationMode);
     }
 
     // Utility functions
@@ -425,92 +861,66 @@ class PowerPointViewer {
             z-index: 1000;
             padding: 60px 20px 20px;
             box-sizing: border-box;
+            overflow-y: auto;
             display: none;
         `;
 
         // Add slide thumbnails or navigation
         sidenav.innerHTML = `
             <h3>Slides</h3>
-            <div class="slide-thumbnails">
-                ${Array.from({length: this.totalPages}, (_, i) => `
-                    <div class="thumbnail-slide" data-slide="${i + 1}" onclick="window.pptViewer.goToPage(${i + 1})">
-                        <div class="thumbnail-content">Slide ${i + 1}</div>
-                    </div>
-                `).join('')}
-            </div>
-            <style>
-                .thumbnail-slide {
-                    padding: 8px;
-                    margin: 4px 0;
-                    border: 1px solid #ddd;
-                    cursor: pointer;
-                    border-radius: 4px;
-                    transition: background-color 0.2s;
-                }
-                .thumbnail-slide:hover {
-                    background-color: #e9e9e9;
-                }
-                .thumbnail-slide.active {
-                    background-color: #007acc;
-                    color: white;
-                }
-                .thumbnail-content {
-                    font-size: 12px;
-                    text-align: center;
-                    padding: 20px 10px;
-                    background: white;
-                    border-radius: 2px;
-                }
-            </style>
+            <div class="slide-thumbnails"></div>
         `;
 
         document.body.appendChild(sidenav);
+        this.thumbnails = new SlideThumbnails(this, sidenav.querySelector('.slide-thumbnails'));
         return sidenav;
     }
 
+    // Export the deck as a PDF: one page per slide with its annotations flattened on top
     download() {
-        // Create a download link for the current presentation
-        try {
-            const title = document.getElementById('title').textContent || 'presentation';
-            const filename = title.replace(/Microsoft PowerPoint - /, '').replace(/ - Compatibility Mode/, '') || 'presentation.pptx';
-
-            // Method 1: If you have the file URL
-            const fileUrl = this.getFileUrl(); // You'd implement this based on your setup
-            if (fileUrl) {
-                const link = document.createElement('a');
-                link.href = fileUrl;
-                link.download = filename;
-                link.style.display = 'none';
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-                return;
-            }
+        const name = this.getDocumentTitle().replace(/\.pptx?$/i, '').trim() || 'presentation';
+        const filename = `${name.replace(/[\\/:*?"<>|]+/g, '-')}.pdf`;
 
-            // Method 2: Generate from current content (fallback)
-            this.downloadAsHTML(filename);
-
-        } catch (error) {
-            console.error('Download failed:', error);
-            alert('Download functionality requires server setup. Please contact administrator.');
+        const slides = Array.from(this.getSlides());
+        if (slides.length === 0) {
+            alert('There are no slides to download yet.');
+            return Promise.resolve();
         }
+
+        const downloadBtn = document.querySelector('[title="Download"]');
+        if (downloadBtn) downloadBtn.disabled = true;
+
+        return this.exportPdf(slides, name)
+            .then(blob => this.saveBlob(blob, filename))
+            .catch(error => {
+                console.error('Download failed:', error);
+                alert('Could not create the PDF. Please try again.');
+            })
+            .finally(() => {
+                if (downloadBtn) downloadBtn.disabled = false;
+            });
     }
 
-    getFileUrl() {
-        // Return the URL of the original file if available
-        // This would be set based on your application's file storage
-        return window.fileUrl || null; // You'd set this when loading the presentation
+    async exportPdf(slides, title) {
+        const writer = new PdfWriter(title);
+
+        // One slide at a time keeps memory flat for long decks
+        for (const slide of slides) {
+            const canvas = await this.annotations.renderSlide(slide.dataset.imageId);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            writer.addJpegPage(bytes, canvas.width, canvas.height, parseInt(slide.dataset.rotation || 0));
+        }
+
+        return writer.toBlob();
     }
 
-    downloadAsHTML(filename) {
-        // Export current view as HTML (fallback method)
-        const content = document.documentElement.outerHTML;
-        const blob = new Blob([content], { type: 'text/html' });
+    saveBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
 
         const link = document.createElement('a');
         link.href = url;
-        link.download = filename.replace('.pptx', '.html');
+        link.download = filename;
         link.style.display = 'none';
         document.body.appendChild(link);
         link.click();
@@ -520,102 +930,68 @@ class PowerPointViewer {
         setTimeout(() => URL.revokeObjectURL(url), 100);
     }
 
-    print() {
-        // Enhanced print functionality
-        const originalTitle = document.title;
-        const presentationTitle = document.getElementById('title')?.textContent || 'Presentation';
-
-        // Set page title for print
-        document.title = presentationTitle.replace(/Microsoft PowerPoint - /, '').replace(/ - Compatibility Mode/, '');
-
-        // Hide toolbar and UI elements for printing
-        const elementsToHide = [
-            '#toolbar',
-            '.sidenav',
-            '.controls',
-            '#drawing-canvas'
-        ];
-
-        const hiddenElements = [];
-        elementsToHide.forEach(selector => {
-            const elements = document.querySelectorAll(selector);
-            elements.forEach(el => {
-                if (el && el.style.display !== 'none') {
-                    hiddenElements.push({ element: el, originalDisplay: el.style.display });
-                    el.style.display = 'none';
-                }
-            });
-        });
-
-        // Apply print styles
-        const printStyles = document.createElement('style');
-        printStyles.id = 'print-styles';
-        printStyles.textContent = `
-            @media print {
-                body { margin: 0; padding: 20px; }
-                .slide-content, .presentation-content {
-                    transform: none !important;
-                    max-width: 100% !important;
-                    page-break-after: always;
-                }
-                .page-break { page-break-before: always; }
-            }
-        `;
-        document.head.appendChild(printStyles);
-
-        // Trigger print
-        setTimeout(() => {
-            window.print();
+    present() {
+        this.presentation.enter();
+    }
 
-            // Restore after print dialog closes
-            setTimeout(() => {
-                // Restore hidden elements
-                hiddenElements.forEach(({ element, originalDisplay }) => {
-                    element.style.display = originalDisplay;
-                });
+    // Presenter console in a second window; this window becomes the audience slideshow
+    openPresenterView() {
+        if (this.getSlides().length === 0) return;
+
+        this.sync.start();
+        // The hash tells the console which window to follow; it never reaches the server or the offline cache
+        const url = `${this.deckId ? `/presenter?deck=${this.deckId}` : '/presenter'}#sync=${this.sync.session}`;
+        const presenter = window.open(url, 'massey-presenter', 'width=1200,height=800');
+        if (!presenter) {
+            alert('Allow pop-ups for this site to open the presenter view.');
+            return;
+        }
+        this.present();
+    }
 
-                // Remove print styles
-                const styles = document.getElementById('print-styles');
-                if (styles) styles.remove();
+    print() {
+        this.printDialog.open();
+    }
 
-                // Restore original title
-                document.title = originalTitle;
-            }, 500);
-        }, 100);
+    getDocumentTitle() {
+        const title = document.getElementById('title')?.textContent || 'Presentation';
+        return title.replace(/Microsoft PowerPoint - /, '').replace(/ - Compatibility Mode/, '').trim() || 'Presentation';
     }
 
     renderPage() {
         // Enhanced page rendering with actual functionality
-        const currentSlide = document.querySelector(`[data-slide="${this.currentPage}"]`) ||
+        const currentSlide = document.querySelector(`.slide[data-slide="${this.currentPage}"]`) ||
                            document.querySelector('.current-slide') ||
                            document.querySelector('.slide-content');
 
         if (currentSlide) {
-            // Hide all slides
-            const allSlides = document.querySelectorAll('[data-slide], .slide');
+            // Hide all slides (scroll mode keeps every slide laid out)
+            const allSlides = this.getSlides();
             allSlides.forEach(slide => {
-                slide.style.display = 'none';
+                slide.style.display = this.viewMode === 'scroll' ? 'block' : 'none';
                 slide.classList.remove('active', 'current-slide');
             });
 
-            // Show current slide
+            // Show current slide, and fetch the next one ahead of time
             currentSlide.style.display = 'block';
             currentSlide.classList.add('active', 'current-slide');
+            this.loadSlideImage(currentSlide);
+            this.loadSlideImage(allSlides[this.currentPage]);
 
             // Apply current transformations
+            this.rotation = parseInt(currentSlide.dataset.rotation || 0);
             this.applyZoom();
+            this.updateUI();
+
+            if (this.viewMode === 'scroll') {
+                this.scrollView.scrollTo(currentSlide);
+            }
 
             // Update slide counter in UI
             this.updateSlideCounter();
 
             // Trigger slide change event for any listeners
-            const event = new CustomEvent('slideChanged', {
-                detail: {
-                    currentPage: this.currentPage,
-                    totalPages: this.totalPages
-                }
-            });
-            document.dispatchEvent(event);
+            this.dispatchSlideChanged();
         } else {
             // If no specific slide structure, just update the display
             console.log(`Displaying slide ${this.currentPage} of ${this.totalPages}`);
@@ -625,6 +1001,55 @@ class PowerPointViewer {
         }
     }
 
+    // Scroll mode: a different slide scrolled into view, so make it the current page
+    // without scrolling back to it
+    setCurrentFromScroll(pageNumber) {
+        const slide = this.getSlides()[pageNumber - 1];
+        if (!slide || slide.classList.contains('current-slide')) return;
+
+        document.querySelectorAll('.slide.current-slide').forEach(other => {
+            other.classList.remove('active', 'current-slide');
+        });
+        slide.classList.add('active', 'current-slide');
+
+        this.currentPage = pageNumber;
+        this.rotation = parseInt(slide.dataset.rotation || 0);
+        this.updateUI();
+        this.updateSlideCounter();
+        this.dispatchSlideChanged();
+    }
+
+    dispatchSlideChanged() {
+        document.dispatchEvent(new CustomEvent('slideChanged', {
+            detail: {
+                currentPage: this.currentPage,
+                totalPages: this.totalPages
+            }
+        }));
+    }
+
+    // View modes
+    setViewMode(mode) {
+        if (mode === this.viewMode) return;
+
+        this.viewMode = mode;
+        this.pan = { x: 0, y: 0 };
+        if (mode === 'scroll') {
+            this.scrollView.enable();
+        } else {
+            this.scrollView.disable();
+        }
+        localStorage.setItem('viewMode', mode);
+
+        const viewModeBtn = document.getElementById('viewMode');
+        if (viewModeBtn) {
+            viewModeBtn.classList.toggle('active', mode === 'scroll');
+            viewModeBtn.title = mode === 'scroll' ? 'Single page' : 'Continuous scroll';
+        }
+
+        this.renderPage();
+    }
+
     updateSlideCounter() {
         // Update any slide counter displays
         const counters = document.querySelectorAll('.slide-counter, .page-counter');
@@ -652,12 +1077,29 @@ class PowerPointViewer {
             zoomInput.value = `${this.zoomLevel}%`;
         }
 
+        // Rotate button mirrors the current slide's rotation
+        const rotateBtn = document.getElementById('rotate');
+        if (rotateBtn) {
+            rotateBtn.style.transform = `rotate(${this.rotation}deg)`;
+        }
+
         this.updateUndoRedoButtons();
+        this.updateHash();
+
+        // Live sessions follow page and zoom together
+        if (this.currentPage !== this.shownPage || this.zoomLevel !== this.shownZoom) {
+            this.shownPage = this.currentPage;
+            this.shownZoom = this.zoomLevel;
+            document.dispatchEvent(new CustomEvent('viewChanged', {
+                detail: { page: this.currentPage, zoom: this.zoomLevel }
+            }));
+        }
     }
 
     // Public methods for external control
     setTotalPages(total) {
-        this.totalPages = total;
+        this.totalPages = Math.max(1, total);
+        this.currentPage = Math.min(this.currentPage, this.totalPages);
         this.updateUI();
     }
 
@@ -675,20 +1117,9 @@ class PowerPointViewer {
 // Initialize the viewer when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.pptViewer = new PowerPointViewer();
-
-    // Example: Set total pages (you would get this from your data)
-    // window.pptViewer.setTotalPages(25);
 });
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PowerPointViewer;
 }
-
-// JS to handle "Enter" press
-document.getElementById('searchForm').addEventListener('submit', function(e) {
-    e.preventDefault(); // prevent form from refreshing the page
-    const query = document.getElementById('searchInput').value;
-    console.log('Searching for:', query); // replace with your search function
-    // Example: window.location.href = `/search?q=${encodeURIComponent(query)}`;
-});
\ No newline at end of file
@@ -0,0 +1,206 @@
+// Continuous scroll mode: every slide is laid out in one column, sized up front from the
+// dimensions stored at upload, and only slides near the viewport keep their image attached.
+// The slide crossing the top part of the viewport becomes the viewer's current page.
+class ScrollView {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.isActive = false;
+        this.pageWidth = 800;
+        this.loaded = new Set();      // slides whose image is currently attached
+        this.visible = new Map();     // slide -> visible height inside the "current page" band
+
+        // Load a screen and a half ahead in both directions so images are ready before they show
+        this.nearObserver = new IntersectionObserver(
+            (entries) => this.handleNear(entries),
+            { rootMargin: '150% 0px' }
+        );
+        // The band below the toolbar covering the top 40% of the window decides the current page
+        this.pageObserver = new IntersectionObserver(
+            (entries) => this.handleVisible(entries),
+            { rootMargin: '-60px 0px -60% 0px', threshold: Array.from({ length: 21 }, (_, i) => i / 20) }
+        );
+
+        document.addEventListener('slidesLoaded', () => {
+            if (this.isActive) this.observe();
+        });
+        document.addEventListener('annotationsChanged', (e) => this.repaint(e.detail.imageId));
+        window.addEventListener('resize', () => {
+            if (this.isActive) this.layout();
+        });
+    }
+
+    enable() {
+        this.isActive = true;
+        document.getElementById('document-viewer')?.classList.add('scroll-mode');
+        this.observe();
+    }
+
+    disable() {
+        this.isActive = false;
+        document.getElementById('document-viewer')?.classList.remove('scroll-mode');
+        this.nearObserver.disconnect();
+        this.pageObserver.disconnect();
+        this.visible.clear();
+
+        this.loaded.forEach(slide => this.viewer.annotations.clearStatic(slide));
+        this.loaded.clear();
+        this.viewer.getSlides().forEach(slide => {
+            const content = slide.querySelector('.slide-content');
+            ['width', 'height', 'marginRight', 'marginBottom', 'transform'].forEach(property => {
+                content.style[property] = '';
+            });
+        });
+    }
+
+    // (Re)start watching the slides, e.g. after uploads, deletions or reordering
+    observe() {
+        this.nearObserver.disconnect();
+        this.pageObserver.disconnect();
+        this.visible.clear();
+
+        // Slides removed from the deck don't need their overlays any more
+        this.loaded.forEach(slide => {
+            if (!slide.isConnected) this.unload(slide, true);
+        });
+
+        this.layout();
+        this.viewer.getSlides().forEach(slide => {
+            this.nearObserver.observe(slide);
+            this.pageObserver.observe(slide);
+        });
+    }
+
+    // Size every slide for the current zoom without touching its image, keeping the
+    // current slide where it is on screen
+    layout() {
+        if (!this.isActive) return;
+
+        const container = document.getElementById('document-container');
+        // Every page gets the same width, like pages in a PDF viewer (minus the page padding)
+        this.pageWidth = Math.max(200, Math.min(800, container ? container.clientWidth : 800) - 40);
+
+        const anchor = document.querySelector('.slide.current-slide');
+        const anchorTop = anchor ? anchor.getBoundingClientRect().top : 0;
+
+        this.viewer.getSlides().forEach(slide => this.layoutSlide(slide));
+        this.loaded.forEach(slide => {
+            // Zooming in may call for a sharper rendition
+            this.viewer.loadSlideImage(slide);
+            this.viewer.annotations.paintStatic(slide);
+        });
+
+        if (anchor) {
+            window.scrollBy(0, anchor.getBoundingClientRect().top - anchorTop);
+        }
+    }
+
+    layoutSlide(slide) {
+        const content = slide.querySelector('.slide-content');
+        const { width, height } = ScrollView.naturalSize(slide);
+        const zoom = this.viewer.zoomLevel / 100;
+        const rotation = parseInt(slide.dataset.rotation || 0);
+        const sideways = rotation % 180 !== 0;
+
+        const contentWidth = this.pageWidth;
+        const contentHeight = Math.round(this.pageWidth * height / width);
+        const footprintWidth = (sideways ? contentHeight : contentWidth) * zoom;
+        const footprintHeight = (sideways ? contentWidth : contentHeight) * zoom;
+
+        // Transforms don't affect layout, so margins make the box take up the zoomed, rotated size
+        content.style.width = `${contentWidth}px`;
+        content.style.height = `${contentHeight}px`;
+        content.style.marginRight = `${footprintWidth - contentWidth}px`;
+        content.style.marginBottom = `${footprintHeight - contentHeight}px`;
+        content.style.transform = PowerPointViewer.slideTransform(contentWidth, contentHeight, zoom, rotation);
+        content.style.transformOrigin = 'top left';
+    }
+
+    // Size stored at upload, else the decoded image, else a 4:3 page until the image arrives
+    static naturalSize(slide) {
+        const width = parseInt(slide.dataset.width);
+        const height = parseInt(slide.dataset.height);
+        if (width && height) {
+            return { width, height };
+        }
+
+        const img = slide.querySelector('.slide-content img');
+        if (img && img.naturalWidth) {
+            return { width: img.naturalWidth, height: img.naturalHeight };
+        }
+        return { width: 4, height: 3 };
+    }
+
+    handleNear(entries) {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                this.load(entry.target);
+            } else {
+                this.unload(entry.target);
+            }
+        });
+    }
+
+    load(slide) {
+        if (this.loaded.has(slide)) return;
+        this.loaded.add(slide);
+
+        const img = slide.querySelector('.slide-content img');
+        if (img && !slide.dataset.width) {
+            // Slides uploaded before sizes were stored get their real aspect ratio once decoded
+            img.addEventListener('load', () => {
+                slide.dataset.width = img.naturalWidth;
+                slide.dataset.height = img.naturalHeight;
+                if (this.isActive) this.layoutSlide(slide);
+            }, { once: true });
+        }
+        this.viewer.loadSlideImage(slide);
+        this.viewer.annotations.paintStatic(slide);
+    }
+
+    unload(slide, force = false) {
+        // The current slide carries the live annotation canvas; keep it decoded
+        if (!this.loaded.has(slide) || (!force && slide.classList.contains('current-slide'))) return;
+        this.loaded.delete(slide);
+        this.viewer.unloadSlideImage(slide);
+        this.viewer.annotations.clearStatic(slide);
+    }
+
+    handleVisible(entries) {
+        entries.forEach(entry => {
+            this.visible.set(entry.target, entry.isIntersecting ? entry.intersectionRect.height : 0);
+        });
+
+        // The slide showing the most inside the band wins; the earlier slide on a tie
+        let best = null;
+        let bestHeight = 0;
+        this.visible.forEach((height, slide) => {
+            if (!slide.isConnected || height <= 0) return;
+            const earlier = best && parseInt(slide.dataset.slide) < parseInt(best.dataset.slide);
+            if (height > bestHeight || (height === bestHeight && earlier)) {
+                best = slide;
+                bestHeight = height;
+            }
+        });
+
+        if (best) {
+            this.viewer.setCurrentFromScroll(parseInt(best.dataset.slide));
+        }
+    }
+
+    scrollTo(slide) {
+        slide.scrollIntoView({ block: 'start' });
+    }
+
+    repaint(imageId) {
+        this.loaded.forEach(slide => {
+            if (slide.dataset.imageId === String(imageId)) {
+                this.viewer.annotations.paintStatic(slide);
+            }
+        });
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScrollView;
+}
@@ -0,0 +1,261 @@
+// Find in slides: full-text search over the text OCR'd from each slide at upload.
+// /search returns word boxes in image pixels; highlights are positioned in percentages inside
+// .slide-content, so they follow zoom, rotation and scroll mode without being redrawn.
+class SlideSearch {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.isOpen = false;
+        this.query = '';
+        this.results = [];
+        this.hits = [];         // every match across the deck: { imageId, width, height, boxes }
+        this.index = -1;        // current match
+        this.controller = null; // aborts the search in flight
+        this.timer = null;
+
+        this.bar = this.build();
+        document.body.appendChild(this.bar);
+        this.input = this.bar.querySelector('.find-input');
+        this.count = this.bar.querySelector('.find-count');
+        this.list = this.bar.querySelector('.find-results');
+
+        // Slides were added, removed or renumbered
+        document.addEventListener('slidesLoaded', () => {
+            this.renderList();
+            this.renderHighlights();
+        });
+    }
+
+    build() {
+        const bar = document.createElement('div');
+        bar.id = 'find-bar';
+        bar.className = 'find-bar';
+        bar.hidden = true;
+        bar.innerHTML = `
+            <div class="find-row">
+                <input type="search" class="find-input" placeholder="Find in slides" aria-label="Find in slides" autocomplete="off">
+                <span class="find-count" aria-live="polite"></span>
+                <button type="button" class="find-prev" title="Previous match (Shift+Enter)" aria-label="Previous match"><i class="bi bi-chevron-up"></i></button>
+                <button type="button" class="find-next" title="Next match (Enter)" aria-label="Next match"><i class="bi bi-chevron-down"></i></button>
+                <button type="button" class="find-close" title="Close (Esc)" aria-label="Close"><i class="bi bi-x-lg"></i></button>
+            </div>
+            <ol class="find-results"></ol>
+        `;
+
+        const input = bar.querySelector('.find-input');
+        input.addEventListener('input', () => {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.search(input.value), 300);
+        });
+        input.addEventListener('keydown', (e) => {
+            // Keep viewer shortcuts (arrows, Home/End) out of the search field
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                if (input.value.trim() !== this.query) {
+                    this.search(input.value);
+                } else if (e.shiftKey) {
+                    this.previous();
+                } else {
+                    this.next();
+                }
+            } else if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+
+        bar.querySelector('.find-prev').addEventListener('click', () => this.previous());
+        bar.querySelector('.find-next').addEventListener('click', () => this.next());
+        bar.querySelector('.find-close').addEventListener('click', () => this.close());
+        bar.querySelector('.find-results').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-hit]');
+            if (item) this.goTo(parseInt(item.dataset.hit));
+        });
+
+        return bar;
+    }
+
+    open() {
+        this.isOpen = true;
+        this.bar.hidden = false;
+        this.input.focus();
+        this.input.select();
+        this.renderHighlights();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.bar.hidden = true;
+        this.renderHighlights();
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    search(text) {
+        clearTimeout(this.timer);
+        const query = text.trim();
+        this.query = query;
+        if (this.controller) {
+            this.controller.abort();
+        }
+
+        if (!query) {
+            this.setResults([]);
+            return Promise.resolve();
+        }
+
+        this.controller = new AbortController();
+        this.count.textContent = 'Searching...';
+        const deck = this.viewer.deckId ? `&deck=${this.viewer.deckId}` : '';
+        return fetch(`/search?q=${encodeURIComponent(query)}${deck}`, { signal: this.controller.signal })
+            .then(response => {
+                if (!response.ok) throw new Error(`Search failed with status ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                this.controller = null;
+                this.setResults(data.results);
+                this.goToFirstFromCurrentPage();
+            })
+            .catch(error => {
+                if (error.name === 'AbortError') return;
+                this.controller = null;
+                console.error(error);
+                this.count.textContent = 'Search failed';
+            });
+    }
+
+    setResults(results) {
+        this.results = results;
+        this.hits = [];
+        results.forEach(result => {
+            result.firstHit = this.hits.length;
+            result.matches.forEach(boxes => {
+                this.hits.push({ imageId: String(result.image_id), width: result.width, height: result.height, boxes });
+            });
+        });
+        this.index = -1;
+
+        this.renderList();
+        this.renderHighlights();
+        this.updateCount();
+    }
+
+    // Matches
+    goToFirstFromCurrentPage() {
+        if (this.hits.length === 0) return;
+        const index = this.hits.findIndex(hit => this.pageOf(hit.imageId) >= this.viewer.currentPage);
+        this.goTo(index === -1 ? 0 : index);
+    }
+
+    next() {
+        if (this.hits.length === 0) return;
+        this.goTo((this.index + 1) % this.hits.length);
+    }
+
+    previous() {
+        if (this.hits.length === 0) return;
+        this.goTo((this.index - 1 + this.hits.length) % this.hits.length);
+    }
+
+    goTo(index) {
+        const hit = this.hits[index];
+        const page = hit && this.pageOf(hit.imageId);
+        if (!page) return;
+
+        this.index = index;
+        if (page !== this.viewer.currentPage) {
+            this.viewer.goToPage(page);
+        }
+        this.markCurrent();
+        this.updateCount();
+
+        const highlight = document.querySelector(`.search-highlight[data-hit="${index}"]`);
+        if (highlight) {
+            highlight.scrollIntoView({ block: 'center', inline: 'nearest' });
+        }
+    }
+
+    pageOf(imageId) {
+        const slide = document.querySelector(`.slide[data-image-id="${imageId}"]`);
+        return slide ? parseInt(slide.dataset.slide) : null;
+    }
+
+    // Rendering
+    updateCount() {
+        if (!this.query) {
+            this.count.textContent = '';
+        } else if (this.hits.length === 0) {
+            this.count.textContent = 'No matches';
+        } else {
+            this.count.textContent = `${this.index + 1} of ${this.hits.length}`;
+        }
+    }
+
+    renderList() {
+        this.list.innerHTML = '';
+        this.results.forEach(result => {
+            const page = this.pageOf(result.image_id);
+            if (!page) return;
+
+            const item = document.createElement('li');
+            item.className = 'find-result';
+            item.dataset.hit = result.firstHit;
+
+            const title = document.createElement('strong');
+            title.textContent = `Slide ${page}`;
+            const count = document.createElement('span');
+            count.className = 'find-result-count';
+            count.textContent = result.matches.length === 1 ? '1 match' : `${result.matches.length} matches`;
+            const snippet = document.createElement('div');
+            snippet.className = 'find-result-snippet';
+            snippet.textContent = result.snippet;
+
+            item.append(title, count, snippet);
+            this.list.appendChild(item);
+        });
+    }
+
+    renderHighlights() {
+        document.querySelectorAll('.search-highlight').forEach(highlight => highlight.remove());
+        if (!this.isOpen) return;
+
+        this.hits.forEach((hit, index) => {
+            const content = document.querySelector(`.slide[data-image-id="${hit.imageId}"] .slide-content`);
+            if (!content) return;
+
+            hit.boxes.forEach(box => {
+                const highlight = document.createElement('div');
+                highlight.className = 'search-highlight';
+                highlight.dataset.hit = index;
+                highlight.style.left = `${box.x / hit.width * 100}%`;
+                highlight.style.top = `${box.y / hit.height * 100}%`;
+                highlight.style.width = `${box.w / hit.width * 100}%`;
+                highlight.style.height = `${box.h / hit.height * 100}%`;
+                content.appendChild(highlight);
+            });
+        });
+        this.markCurrent();
+    }
+
+    markCurrent() {
+        document.querySelectorAll('.search-highlight').forEach(highlight => {
+            highlight.classList.toggle('current', parseInt(highlight.dataset.hit) === this.index);
+        });
+        this.list.querySelectorAll('.find-result').forEach(item => {
+            const result = this.results.find(r => r.firstHit === parseInt(item.dataset.hit));
+            const active = result && this.index >= result.firstHit && this.index < result.firstHit + result.matches.length;
+            item.classList.toggle('active', Boolean(active));
+        });
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SlideSearch;
+}
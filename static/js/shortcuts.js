@@ -0,0 +1,286 @@
+// Keyboard shortcuts, all in one place. Features register commands with their default keys; the
+// user can rebind them in the overlay opened with "?", and their changes are saved to their account
+// (PUT /settings/shortcuts) and handed back to the page in <body data-shortcuts>.
+// Keys are written the way describe() reads them off a keydown: modifiers in the order
+// Ctrl, Alt, Shift, then the key, e.g. "Ctrl+Shift+Z", "Alt+ArrowLeft", "Shift+U", "?", "Space".
+class ShortcutRegistry {
+    constructor() {
+        this.commands = [];     // in registration order; the first enabled command bound to a key wins
+        this.overrides = this.loadOverrides();
+        this.overlay = null;
+        this.recording = null;  // command id waiting for a new key in the overlay
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.register('help.shortcuts', {
+            group: 'Help',
+            label: 'Show keyboard shortcuts',
+            keys: ['?'],
+            run: () => this.toggleOverlay()
+        });
+    }
+
+    loadOverrides() {
+        try {
+            const bindings = JSON.parse(document.body.dataset.shortcuts || '{}');
+            return bindings && typeof bindings === 'object' ? bindings : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // options: { group, label, keys, run(event), when() -> bool, preventDefault (default true) }
+    register(id, options) {
+        this.commands = this.commands.filter(command => command.id !== id);
+        this.commands.push({ id, preventDefault: true, ...options });
+        if (this.overlay && !this.overlay.hidden) this.renderOverlay();
+    }
+
+    keysFor(id) {
+        const command = this.commands.find(other => other.id === id);
+        if (Array.isArray(this.overrides[id])) return this.overrides[id];
+        return command ? command.keys : [];
+    }
+
+    // The key combination a keydown stands for, or null for a lone modifier
+    static describe(e) {
+        if (['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'].includes(e.key)) return null;
+
+        let key = e.key === ' ' ? 'Space' : e.key;
+        const printable = key.length === 1;
+        if (printable) key = key.toUpperCase();
+
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        // "?" or "+" already say Shift was held; letters and named keys don't
+        if (e.shiftKey && !(printable && !/[A-Z]/.test(key))) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    // Keystrokes meant for a text field, not for the viewer
+    static isTyping(target) {
+        if (!target || !target.tagName) return false;
+        if (target.isContentEditable) return true;
+        if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+        if (target.tagName !== 'INPUT') return false;
+        return !['button', 'checkbox', 'radio', 'submit', 'reset', 'file', 'color', 'image'].includes(target.type);
+    }
+
+    handleKeydown(e) {
+        if (this.recording) {
+            this.record(e);
+            return;
+        }
+        if (e.defaultPrevented || e.isComposing || ShortcutRegistry.isTyping(e.target)) return;
+
+        const combo = ShortcutRegistry.describe(e);
+        if (!combo) return;
+
+        // Nothing else runs behind the open overlay
+        if (this.overlay && !this.overlay.hidden) {
+            if (combo === 'Escape' || this.keysFor('help.shortcuts').includes(combo)) {
+                e.preventDefault();
+                this.toggleOverlay();
+            }
+            return;
+        }
+
+        const command = this.commands.find(other =>
+            this.keysFor(other.id).includes(combo) && (!other.when || other.when()));
+        if (!command) return;
+
+        if (command.preventDefault) e.preventDefault();
+        command.run(e);
+    }
+
+    // Rebinding. Keys passed as taken (a newly recorded one) come off any other command they were bound to.
+    setKeys(id, keys, taken = []) {
+        this.commands.forEach(command => {
+            if (command.id === id) return;
+            const current = this.keysFor(command.id);
+            const kept = current.filter(key => !taken.includes(key));
+            if (kept.length !== current.length) this.overrides[command.id] = kept;
+        });
+
+        const command = this.commands.find(other => other.id === id);
+        if (command && keys.length === command.keys.length && keys.every(key => command.keys.includes(key))) {
+            delete this.overrides[id];
+        } else {
+            this.overrides[id] = keys;
+        }
+        this.renderOverlay();
+        return this.save();
+    }
+
+    resetAll() {
+        this.overrides = {};
+        this.renderOverlay();
+        return this.save();
+    }
+
+    save() {
+        return fetch('/settings/shortcuts', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify({ bindings: this.overrides })
+        })
+            .then(response => response.json().then(data => {
+                if (!response.ok) {
+                    throw new Error(data.error || `Saving shortcuts failed with status ${response.status}`);
+                }
+                document.body.dataset.shortcuts = JSON.stringify(data.bindings);
+            }))
+            .catch(error => {
+                console.error('Saving shortcuts failed:', error);
+                this.setStatus(`Not saved: ${error.message}`);
+            });
+    }
+
+    // Help overlay: every command with its current keys, and a way to change them
+    toggleOverlay() {
+        if (!this.overlay) this.overlay = this.buildOverlay();
+        this.overlay.hidden = !this.overlay.hidden;
+        this.recording = null;
+        if (!this.overlay.hidden) {
+            this.renderOverlay();
+            this.overlay.querySelector('.shortcuts-close').focus();
+        }
+    }
+
+    buildOverlay() {
+        const overlay = document.createElement('div');
+        overlay.className = 'shortcuts-overlay';
+        overlay.hidden = true;
+        overlay.innerHTML = `
+            <div class="shortcuts-dialog" role="dialog" aria-modal="true" aria-label="Keyboard shortcuts">
+                <div class="shortcuts-header">
+                    <h3>Keyboard shortcuts</h3>
+                    <button type="button" class="shortcuts-reset">Reset all</button>
+                    <button type="button" class="shortcuts-close" title="Close" aria-label="Close"><i class="bi bi-x-lg"></i></button>
+                </div>
+                <p class="shortcuts-status" aria-live="polite"></p>
+                <div class="shortcuts-list"></div>
+            </div>
+        `;
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay || e.target.closest('.shortcuts-close')) {
+                this.toggleOverlay();
+                return;
+            }
+            if (e.target.closest('.shortcuts-reset')) {
+                this.resetAll();
+                return;
+            }
+
+            const row = e.target.closest('[data-command]');
+            if (!row) return;
+            const id = row.dataset.command;
+            const remove = e.target.closest('[data-remove]');
+            if (remove) {
+                this.setKeys(id, this.keysFor(id).filter(key => key !== remove.dataset.remove));
+            } else if (e.target.closest('.shortcuts-add')) {
+                this.recording = id;
+                this.renderOverlay();
+            } else if (e.target.closest('.shortcuts-default')) {
+                const command = this.commands.find(other => other.id === id);
+                this.setKeys(id, command.keys.slice());
+            }
+        });
+        document.body.appendChild(overlay);
+        return overlay;
+    }
+
+    // While recording, the next key combination is bound; Escape cancels
+    record(e) {
+        const combo = ShortcutRegistry.describe(e);
+        if (!combo) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const id = this.recording;
+        this.recording = null;
+        if (combo === 'Escape') {
+            this.renderOverlay();
+            return;
+        }
+
+        const keys = this.keysFor(id);
+        this.setKeys(id, keys.includes(combo) ? keys : [...keys, combo], [combo]);
+    }
+
+    setStatus(text) {
+        if (!this.overlay) return;
+        this.overlay.querySelector('.shortcuts-status').textContent = text;
+    }
+
+    renderOverlay() {
+        if (!this.overlay || this.overlay.hidden) return;
+
+        const list = this.overlay.querySelector('.shortcuts-list');
+        list.innerHTML = '';
+        const groups = new Map();
+        this.commands.forEach(command => {
+            if (!groups.has(command.group)) groups.set(command.group, []);
+            groups.get(command.group).push(command);
+        });
+
+        groups.forEach((commands, group) => {
+            const section = document.createElement('section');
+            const heading = document.createElement('h4');
+            heading.textContent = group;
+            section.appendChild(heading);
+
+            commands.forEach(command => {
+                const row = document.createElement('div');
+                row.className = 'shortcuts-row';
+                row.dataset.command = command.id;
+
+                const label = document.createElement('span');
+                label.className = 'shortcuts-label';
+                label.textContent = command.label;
+                row.appendChild(label);
+
+                const keys = document.createElement('span');
+                keys.className = 'shortcuts-keys';
+                this.keysFor(command.id).forEach(key => {
+                    const chip = document.createElement('kbd');
+                    chip.textContent = key;
+                    const remove = document.createElement('button');
+                    remove.type = 'button';
+                    remove.dataset.remove = key;
+                    remove.title = `Remove ${key}`;
+                    remove.setAttribute('aria-label', remove.title);
+                    remove.innerHTML = '<i class="bi bi-x"></i>';
+                    chip.appendChild(remove);
+                    keys.appendChild(chip);
+                });
+
+                const add = document.createElement('button');
+                add.type = 'button';
+                add.className = 'shortcuts-add';
+                add.textContent = this.recording === command.id ? 'Press a key...' : 'Add key';
+                keys.appendChild(add);
+
+                if (Array.isArray(this.overrides[command.id])) {
+                    const reset = document.createElement('button');
+                    reset.type = 'button';
+                    reset.className = 'shortcuts-default';
+                    reset.textContent = 'Default';
+                    reset.title = `Back to ${command.keys.join(', ') || 'no key'}`;
+                    keys.appendChild(reset);
+                }
+                row.appendChild(keys);
+                section.appendChild(row);
+            });
+            list.appendChild(section);
+        });
+        this.setStatus(this.recording ? 'Press the new key combination, or Escape to cancel.' : '');
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShortcutRegistry;
+}
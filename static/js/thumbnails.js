@@ -0,0 +1,142 @@
+// Thumbnail rail for the sidebar: downscaled slide previews, active highlight and drag-to-reorder
+class SlideThumbnails {
+    constructor(viewer, container) {
+        this.viewer = viewer;
+        this.container = container;
+        this.thumbnailWidth = 180;
+        this.cache = new Map(); // image id -> downscaled canvas
+        this.draggedItem = null;
+
+        this.observer = new IntersectionObserver(
+            (entries) => this.handleIntersection(entries),
+            { root: container.closest('.sidenav'), rootMargin: '200px 0px' }
+        );
+
+        document.addEventListener('slideChanged', (e) => this.setActive(e.detail.currentPage));
+        document.addEventListener('slidesLoaded', () => this.build());
+
+        this.build();
+    }
+
+    build() {
+        this.observer.disconnect();
+        this.container.innerHTML = '';
+
+        this.viewer.getSlides().forEach(slide => {
+            const item = document.createElement('div');
+            item.className = 'thumbnail-slide';
+            item.dataset.thumb = slide.dataset.slide;
+            item.dataset.imageId = slide.dataset.imageId;
+            item.draggable = true;
+            item.title = slide.querySelector('img')?.alt || `Slide ${slide.dataset.slide}`;
+
+            const canvas = document.createElement('canvas');
+            canvas.className = 'thumbnail-content';
+            canvas.width = this.thumbnailWidth;
+            canvas.height = Math.round(this.thumbnailWidth * 3 / 4);
+
+            const number = document.createElement('span');
+            number.className = 'thumbnail-number';
+            number.textContent = slide.dataset.slide;
+
+            item.append(canvas, number);
+            item.addEventListener('click', () => this.viewer.goToPage(parseInt(item.dataset.thumb)));
+            this.bindDragEvents(item);
+
+            this.container.appendChild(item);
+            this.observer.observe(item);
+        });
+
+        this.setActive(this.viewer.currentPage);
+    }
+
+    // Lazy-load: only fetch and downscale images for thumbnails near the visible part of the rail
+    handleIntersection(entries) {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            this.observer.unobserve(entry.target);
+            this.renderThumbnail(entry.target);
+        });
+    }
+
+    renderThumbnail(item) {
+        const imageId = item.dataset.imageId;
+        const canvas = item.querySelector('canvas');
+
+        if (this.cache.has(imageId)) {
+            this.drawThumbnail(canvas, this.cache.get(imageId));
+            return;
+        }
+
+        const img = new Image();
+        img.onload = () => {
+            const scale = this.thumbnailWidth / img.naturalWidth;
+            const source = document.createElement('canvas');
+            source.width = this.thumbnailWidth;
+            source.height = Math.max(1, Math.round(img.naturalHeight * scale));
+            source.getContext('2d').drawImage(img, 0, 0, source.width, source.height);
+
+            this.cache.set(imageId, source);
+            this.drawThumbnail(canvas, source);
+        };
+        img.onerror = () => item.classList.add('thumbnail-error');
+        img.src = `/image/${imageId}?size=thumb`;
+    }
+
+    drawThumbnail(canvas, source) {
+        canvas.width = source.width;
+        canvas.height = source.height;
+        canvas.getContext('2d').drawImage(source, 0, 0);
+    }
+
+    setActive(pageNumber) {
+        this.container.querySelectorAll('.thumbnail-slide').forEach(item => {
+            const isActive = parseInt(item.dataset.thumb) === pageNumber;
+            item.classList.toggle('active', isActive);
+            if (isActive) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    // Drag and drop reordering
+    bindDragEvents(item) {
+        item.addEventListener('dragstart', (e) => {
+            this.draggedItem = item;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        item.addEventListener('dragover', (e) => {
+            if (!this.draggedItem || this.draggedItem === item) return;
+            e.preventDefault();
+
+            // Drop before or after depending on which half of the thumbnail is hovered
+            const rect = item.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            this.container.insertBefore(this.draggedItem, after ? item.nextSibling : item);
+        });
+
+        item.addEventListener('dragend', () => {
+            if (!this.draggedItem) return;
+            this.draggedItem.classList.remove('dragging');
+            this.draggedItem = null;
+            this.saveOrder();
+        });
+    }
+
+    saveOrder() {
+        const order = Array.from(this.container.querySelectorAll('.thumbnail-slide'))
+            .map(item => item.dataset.imageId);
+        const current = Array.from(this.viewer.getSlides()).map(slide => slide.dataset.imageId);
+
+        if (order.join(',') !== current.join(',')) {
+            this.viewer.reorderSlides(order);
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SlideThumbnails;
+}
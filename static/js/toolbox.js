@@ -0,0 +1,143 @@
+// Annotation tool palette shown under the #annotate button while annotation mode is on
+class AnnotationToolbox {
+    constructor(layer) {
+        this.layer = layer;
+        this.tools = [
+            { name: 'pen', label: 'Pen', icon: 'bi-pen' },
+            { name: 'highlighter', label: 'Highlighter', icon: 'bi-highlighter' },
+            { name: 'eraser', label: 'Eraser', icon: 'bi-eraser' },
+            { name: 'line', label: 'Line', icon: 'bi-slash-lg' },
+            { name: 'arrow', label: 'Arrow', icon: 'bi-arrow-up-right' },
+            { name: 'rect', label: 'Rectangle', icon: 'bi-square' },
+            { name: 'ellipse', label: 'Ellipse', icon: 'bi-circle' },
+            { name: 'text', label: 'Text note', icon: 'bi-fonts' },
+            { name: 'move', label: 'Move (double-click a note to edit it)', icon: 'bi-arrows-move' }
+        ];
+        this.colors = ['#000000', '#e81123', '#0078d4', '#107c10', '#ffd400', '#ff8c00', '#ffffff'];
+
+        // Each tool remembers its own color and width
+        this.settings = {
+            pen: { color: '#e81123', width: 3 },
+            highlighter: { color: '#ffd400', width: 18 },
+            line: { color: '#0078d4', width: 3 },
+            arrow: { color: '#0078d4', width: 3 },
+            rect: { color: '#0078d4', width: 3 },
+            ellipse: { color: '#0078d4', width: 3 },
+            text: { color: '#000000', width: 4 }
+        };
+
+        this.panel = this.build();
+        document.body.appendChild(this.panel);
+        window.addEventListener('resize', () => this.position());
+
+        this.selectTool('pen');
+    }
+
+    build() {
+        const panel = document.createElement('div');
+        panel.id = 'annotation-toolbox';
+        panel.className = 'annotation-toolbox';
+        panel.setAttribute('role', 'toolbar');
+        panel.setAttribute('aria-label', 'Annotation tools');
+
+        panel.innerHTML = `
+            <div class="toolbox-tools">
+                ${this.tools.map(tool => `
+                    <button type="button" class="toolbox-btn" data-tool="${tool.name}" title="${tool.label}" aria-label="${tool.label}">
+                        <i class="bi ${tool.icon}"></i>
+                    </button>
+                `).join('')}
+            </div>
+            <div class="toolbox-options">
+                <div class="toolbox-colors">
+                    ${this.colors.map(color => `
+                        <button type="button" class="toolbox-swatch" data-color="${color}" style="background:${color}" title="${color}" aria-label="Color ${color}"></button>
+                    `).join('')}
+                    <input type="color" class="toolbox-color" aria-label="Custom color">
+                </div>
+                <label class="toolbox-width-label">
+                    Width
+                    <input type="range" class="toolbox-width" min="1" max="40" aria-label="Stroke width">
+                    <span class="toolbox-width-value"></span>
+                </label>
+            </div>
+        `;
+
+        panel.querySelectorAll('[data-tool]').forEach(button => {
+            button.addEventListener('click', () => this.selectTool(button.dataset.tool));
+        });
+        panel.querySelectorAll('[data-color]').forEach(button => {
+            button.addEventListener('click', () => this.setColor(button.dataset.color));
+        });
+        panel.querySelector('.toolbox-color').addEventListener('input', (e) => this.setColor(e.target.value));
+        panel.querySelector('.toolbox-width').addEventListener('input', (e) => this.setWidth(parseInt(e.target.value)));
+
+        return panel;
+    }
+
+    selectTool(name) {
+        this.layer.setTool(name);
+        this.panel.querySelectorAll('[data-tool]').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === name);
+        });
+
+        // Eraser and move have no color or width
+        const settings = this.settings[name];
+        this.panel.querySelector('.toolbox-options').hidden = !settings;
+        if (settings) {
+            this.applySettings(settings);
+        }
+    }
+
+    setColor(color) {
+        const settings = this.settings[this.layer.pen.tool];
+        if (!settings) return;
+        settings.color = color;
+        this.applySettings(settings);
+    }
+
+    setWidth(width) {
+        const settings = this.settings[this.layer.pen.tool];
+        if (!settings) return;
+        settings.width = width;
+        this.applySettings(settings);
+    }
+
+    applySettings(settings) {
+        this.layer.pen.color = settings.color;
+        this.layer.pen.width = settings.width;
+
+        this.panel.querySelectorAll('[data-color]').forEach(button => {
+            button.classList.toggle('active', button.dataset.color === settings.color);
+        });
+        this.panel.querySelector('.toolbox-color').value = settings.color;
+        this.panel.querySelector('.toolbox-width').value = settings.width;
+        this.panel.querySelector('.toolbox-width-value').textContent = `${settings.width}px`;
+    }
+
+    show() {
+        this.panel.classList.add('open');
+        this.position();
+    }
+
+    hide() {
+        this.panel.classList.remove('open');
+    }
+
+    // Keep the palette anchored below the #annotate button
+    position() {
+        const anchor = document.getElementById('annotate');
+        if (!anchor || !this.panel.classList.contains('open')) return;
+
+        const rect = anchor.getBoundingClientRect();
+        const width = this.panel.offsetWidth;
+        const left = Math.max(8, Math.min(window.innerWidth - width - 8, rect.left + rect.width / 2 - width / 2));
+        this.panel.style.top = `${rect.bottom + 6}px`;
+        this.panel.style.left = `${left}px`;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnnotationToolbox;
+}
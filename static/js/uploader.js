@@ -0,0 +1,219 @@
+// Batch uploads: files picked or dropped anywhere on the page are uploaded a few at a time,
+// each with its own progress bar. Slides are added to the deck as their upload finishes;
+// network and server errors are retried automatically, anything else waits for a manual retry.
+class UploadQueue {
+    constructor(viewer, options = {}) {
+        this.viewer = viewer;
+        this.concurrency = options.concurrency || 3;
+        this.retries = options.retries ?? 2;   // automatic retries per file
+        this.preprocessor = options.preprocessor || null; // crops and compresses images before they're queued
+        this.items = [];
+        this.active = 0;
+        this.reveal = false;    // show the first slide of a batch once it's in
+        this.dragDepth = 0;     // dragenter/dragleave fire for every child element crossed
+
+        this.panel = this.build();
+        document.body.appendChild(this.panel);
+        this.list = this.panel.querySelector('.upload-list');
+        this.summary = this.panel.querySelector('.upload-summary');
+
+        this.bindDropZone();
+    }
+
+    build() {
+        const panel = document.createElement('div');
+        panel.className = 'upload-panel';
+        panel.hidden = true;
+        panel.innerHTML = `
+            <div class="upload-header">
+                <span class="upload-summary" aria-live="polite"></span>
+                <button type="button" class="upload-clear" title="Clear finished uploads" aria-label="Clear finished uploads"><i class="bi bi-x-lg"></i></button>
+            </div>
+            <ul class="upload-list"></ul>
+        `;
+
+        panel.querySelector('.upload-clear').addEventListener('click', () => this.clearFinished());
+        panel.querySelector('.upload-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.upload-retry');
+            const item = button && this.items.find(other => other.element === button.closest('.upload-item'));
+            if (item) this.retry(item);
+        });
+        return panel;
+    }
+
+    bindDropZone() {
+        const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+        document.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            this.dragDepth++;
+            document.body.classList.add('drop-active');
+        });
+        document.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            // Without this the browser opens the dropped file instead
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        document.addEventListener('dragleave', (e) => {
+            if (!hasFiles(e)) return;
+            this.dragDepth = Math.max(0, this.dragDepth - 1);
+            if (this.dragDepth === 0) document.body.classList.remove('drop-active');
+        });
+        document.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            this.dragDepth = 0;
+            document.body.classList.remove('drop-active');
+            this.addFiles(e.dataTransfer.files);
+        });
+    }
+
+    addFiles(fileList) {
+        const files = Array.from(fileList);
+        if (files.length === 0) return;
+
+        // A presentation or PDF on its own becomes a new deck
+        const isDocument = (file) => /\.(pptx|pdf)$/i.test(file.name);
+        if (files.length === 1 && isDocument(files[0])) {
+            this.viewer.importDeck(files[0]).catch(error => alert(error.message));
+            return;
+        }
+
+        const images = [];
+        const rejected = [];
+        files.forEach(file => {
+            if (isDocument(file)) {
+                rejected.push({ file, message: 'Import presentations and PDFs one at a time' });
+            } else if (file.type && !file.type.startsWith('image/')) {
+                rejected.push({ file, message: 'Not an image' });
+            } else {
+                images.push(file);
+            }
+        });
+
+        const prepared = this.preprocessor && images.length > 0
+            ? this.preprocessor.prepare(images)
+            : Promise.resolve(images);
+        return prepared.then(ready => {
+            if (!ready) return; // cancelled
+
+            this.reveal = true;
+            rejected.forEach(({ file, message }) => this.fail(this.addItem(file), message, false));
+            ready.forEach(file => this.addItem(file));
+            this.panel.hidden = false;
+            this.pump();
+        }).catch(error => alert(error.message));
+    }
+
+    addItem(file) {
+        const element = document.createElement('li');
+        element.className = 'upload-item';
+        element.innerHTML = `
+            <span class="upload-name"></span>
+            <progress class="upload-progress" max="1" value="0"></progress>
+            <span class="upload-status"></span>
+            <button type="button" class="upload-retry" hidden>Retry</button>
+        `;
+        element.querySelector('.upload-name').textContent = file.name;
+        this.list.appendChild(element);
+
+        const item = { file, element, status: 'queued', attempts: 0, timer: null };
+        this.items.push(item);
+        this.render(item, 'Waiting');
+        return item;
+    }
+
+    // Start queued uploads while there's room
+    pump() {
+        while (this.active < this.concurrency) {
+            const item = this.items.find(other => other.status === 'queued');
+            if (!item) break;
+            this.start(item);
+        }
+        this.updateSummary();
+    }
+
+    start(item) {
+        item.status = 'uploading';
+        item.attempts++;
+        this.active++;
+        this.render(item, 'Uploading', 0);
+
+        this.viewer.uploadImage(item.file, (fraction) => this.render(item, 'Uploading', fraction))
+            .then(slide => {
+                item.status = 'done';
+                this.render(item, 'Done', 1);
+                if (this.reveal) {
+                    this.reveal = false;
+                    this.viewer.goToPage(parseInt(slide.dataset.slide));
+                }
+            })
+            .catch(error => {
+                if (error.retryable && item.attempts <= this.retries) {
+                    // Back off a little more each time: 1s, 2s, 4s...
+                    const delay = 1000 * 2 ** (item.attempts - 1);
+                    item.status = 'waiting';
+                    this.render(item, `${error.message}, retrying...`, 0);
+                    item.timer = setTimeout(() => {
+                        item.status = 'queued';
+                        this.pump();
+                    }, delay);
+                } else {
+                    this.fail(item, error.message, true);
+                }
+            })
+            .finally(() => {
+                this.active--;
+                this.pump();
+            });
+    }
+
+    fail(item, message, canRetry) {
+        item.status = 'failed';
+        item.element.querySelector('.upload-retry').hidden = !canRetry;
+        this.render(item, message);
+    }
+
+    retry(item) {
+        clearTimeout(item.timer);
+        item.status = 'queued';
+        item.attempts = 0;
+        item.element.querySelector('.upload-retry').hidden = true;
+        this.render(item, 'Waiting', 0);
+        this.pump();
+    }
+
+    clearFinished() {
+        this.items = this.items.filter(item => {
+            const finished = item.status === 'done' || item.status === 'failed';
+            if (finished) item.element.remove();
+            return !finished;
+        });
+        this.panel.hidden = this.items.length === 0;
+        this.updateSummary();
+    }
+
+    render(item, status, progress) {
+        item.element.dataset.status = item.status;
+        item.element.querySelector('.upload-status').textContent = status;
+        if (progress !== undefined) {
+            item.element.querySelector('.upload-progress').value = progress;
+        }
+    }
+
+    updateSummary() {
+        const done = this.items.filter(item => item.status === 'done').length;
+        const failed = this.items.filter(item => item.status === 'failed').length;
+        let text = `${done} of ${this.items.length} uploaded`;
+        if (failed > 0) {
+            text += `, ${failed} failed`;
+        }
+        this.summary.textContent = text;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UploadQueue;
+}
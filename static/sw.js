@@ -0,0 +1,170 @@
+// Service worker: keeps the viewer usable on lecture-hall Wi-Fi.
+// The app shell (scripts, styles, icon font) is served from cache and refreshed in the background.
+// Decks marked "available offline" get a cache of their own, deck-<id>, filled by the page
+// (see OfflineStore): slides are served from it first, since an image never changes, while deck
+// pages and annotations still come from the network when it answers in time.
+// v2: CDN files load with integrity checks now, which the opaque copies v1 may hold would fail
+const SHELL_CACHE = 'shell-v2';
+const DECK_CACHE_PREFIX = 'deck-';
+const NETWORK_TIMEOUT = 4000; // ms before a slow network loses to a cached copy
+// Flask-Login's session makes replies vary by cookie, which a cached copy can't be matched on
+const MATCH = { ignoreVary: true };
+
+const SHELL = [
+    '/static/css/style.css',
+    '/static/js/admin.js',
+    '/static/js/annotations.js',
+    '/static/js/chat.js',
+    '/static/js/collab.js',
+    '/static/js/devices.js',
+    '/static/js/gestures.js',
+    '/static/js/history.js',
+    '/static/js/library.js',
+    '/static/js/markdown.js',
+    '/static/js/offline.js',
+    '/static/js/pdf.js',
+    '/static/js/preprocess.js',
+    '/static/js/presentation.js',
+    '/static/js/presenter.js',
+    '/static/js/print.js',
+    '/static/js/script.js',
+    '/static/js/scroll-view.js',
+    '/static/js/search.js',
+    '/static/js/shortcuts.js',
+    '/static/js/thumbnails.js',
+    '/static/js/toolbox.js',
+    '/static/js/uploader.js',
+    'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.3/font/bootstrap-icons.css',
+    'https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/katex.min.css',
+    'https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/katex.min.js',
+    'https://cdn.jsdelivr.net/npm/@highlightjs/cdn-assets@11.10.0/styles/github.min.css',
+    'https://cdn.jsdelivr.net/npm/@highlightjs/cdn-assets@11.10.0/highlight.min.js'
+];
+const SHELL_HOSTS = ['cdn.jsdelivr.net'];
+
+self.addEventListener('install', (event) => {
+    // One unreachable file shouldn't keep the rest out of the cache
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => Promise.all(SHELL.map(url => cache.add(url).catch(() => {}))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('shell-') && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    // Uploads, saves and deletes always go to the network; failed annotation saves are queued by the page
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (sameOrigin && url.pathname === '/logout') {
+        // Slides cached for one user shouldn't be left behind for the next one on this computer
+        event.waitUntil(forgetUser());
+        return;
+    }
+    if ((sameOrigin && url.pathname.startsWith('/static/')) || SHELL_HOSTS.includes(url.host)) {
+        event.respondWith(staleWhileRevalidate(request));
+    } else if (sameOrigin && url.pathname.startsWith('/image/')) {
+        event.respondWith(slideImage(request, url));
+    } else if (sameOrigin && (request.mode === 'navigate' || url.pathname.startsWith('/annotations/'))) {
+        event.respondWith(networkFirst(request, url));
+    }
+});
+
+function cacheable(response) {
+    // Range replies (206) and redirects to the login page aren't worth keeping
+    return response && response.status === 200 && !response.redirected;
+}
+
+function staleWhileRevalidate(request) {
+    return caches.open(SHELL_CACHE).then(cache => cache.match(request, MATCH).then(cached => {
+        const network = fetch(request).then(response => {
+            if (cacheable(response) || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        });
+        if (cached) {
+            network.catch(() => {});
+            return cached;
+        }
+        return network;
+    }));
+}
+
+// The deck cache holding a request, if any
+function deckCacheFor(request) {
+    return caches.keys().then(names => {
+        const decks = names.filter(name => name.startsWith(DECK_CACHE_PREFIX));
+        return Promise.all(decks.map(name => caches.open(name).then(cache => cache.match(request, MATCH))))
+            .then(matches => {
+                const index = matches.findIndex(Boolean);
+                return index === -1 ? null : caches.open(decks[index]);
+            });
+    });
+}
+
+// Slide images never change once uploaded, so a cached copy is always good. A rendition that
+// wasn't cached is stood in for by the full-size image, which looks the same, only sharper.
+function slideImage(request, url) {
+    const full = new Request(url.origin + url.pathname);
+    return caches.match(request, MATCH)
+        .then(cached => cached || caches.match(full, MATCH))
+        .then(cached => cached || fetch(request));
+}
+
+// Fresh from the network when it answers in time; a page or annotation kept for an offline deck
+// (or the library) is updated along the way and stands in when the network is gone or too slow
+function networkFirst(request, url) {
+    return Promise.all([caches.match(request, MATCH), deckCacheFor(request)]).then(([cached, deckCache]) => {
+        const isLibrary = url.pathname === '/';
+        const network = fetch(request).then(response => {
+            if (cacheable(response)) {
+                const store = isLibrary ? caches.open(SHELL_CACHE) : Promise.resolve(deckCache);
+                store.then(cache => cache && cache.put(request, response.clone()));
+            }
+            return response;
+        });
+        if (!cached) {
+            return network.catch(() => offlineResponse(request));
+        }
+
+        const timeout = new Promise(resolve => setTimeout(() => resolve(cached), NETWORK_TIMEOUT));
+        return Promise.race([network.catch(() => cached), timeout]);
+    });
+}
+
+function offlineResponse(request) {
+    if (request.mode === 'navigate') {
+        return new Response(
+            '<!DOCTYPE html><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">' +
+            '<title>Offline - Massey PowerPoint</title>' +
+            '<p style="font-family: sans-serif; margin: 2rem">You\'re offline and this page wasn\'t saved for offline use. ' +
+            '<a href="/">Back to the library</a></p>',
+            { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+        );
+    }
+    return new Response(JSON.stringify({ error: 'You are offline.' }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+function forgetUser() {
+    return caches.keys().then(names => Promise.all([
+        ...names.filter(name => name.startsWith(DECK_CACHE_PREFIX)).map(name => caches.delete(name)),
+        caches.open(SHELL_CACHE).then(cache => cache.delete('/'))
+    ]));
+}
@@ -0,0 +1,64 @@
+// The AI-answer renderer's output goes into innerHTML, so nothing from an answer may reach an
+// attribute unescaped. Run from the repository root with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+
+// KaTeX as loaded in the page: it escapes the TeX, but its HTML carries quotes and tags of its own
+const texText = (tex) => tex.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+global.katex = { renderToString: (tex) => `<span class="katex" title="${texText(tex)}">${texText(tex)}</span>` };
+global.window = { katex: global.katex };
+const MarkdownRenderer = require('../static/js/markdown.js');
+
+// Every attribute value in the output, as written
+function attributes(html) {
+    return Array.from(html.matchAll(/\s([\w-]+)="([^"]*)"/g), ([, name, value]) => ({ name, value }));
+}
+
+function assertNoInjection(html) {
+    attributes(html).forEach(({ name, value }) => {
+        assert.ok(!/[<>]/.test(value), `${name}="${value}" holds markup in ${html}`);
+    });
+    assert.ok(!/<a\b[^>]*\son\w+=/i.test(html), `event handler attribute in ${html}`);
+}
+
+test('a link inside a bare URL stays out of its href', () => {
+    const html = MarkdownRenderer.renderInline('https://x/[a](/onmouseover=onerror=alert;throw/**/1//)');
+    assertNoInjection(html);
+    assert.match(html, /<a href="https:\/\/x\/"/);
+});
+
+test('a code span inside a bare URL stays out of its href', () => {
+    const html = MarkdownRenderer.renderInline('https://x/`" onmouseover="alert(1)`');
+    assertNoInjection(html);
+    assert.match(html, /<code>&quot; onmouseover=&quot;alert\(1\)<\/code>/);
+});
+
+test('math inside a bare URL stays out of its href', () => {
+    const html = MarkdownRenderer.renderInline('https://x/$a" onmouseover="alert(1)$ and <https://y/$$b$$>');
+    assertNoInjection(html);
+    assert.match(html, /<span class="katex"/);
+});
+
+test('held pieces stay out of link URLs and titles', () => {
+    [
+        '[text](https://x/`code`)',
+        '[text](https://x "`" onmouseover="alert(1)`")',
+        '[![alt](https://x/a.png)](https://x/$a" onmouseover="b$)',
+        '[a](https://x/[b](https://y))'
+    ].forEach(markdown => assertNoInjection(MarkdownRenderer.renderInline(markdown)));
+});
+
+test('links, linked images and autolinks still render', () => {
+    assert.strictEqual(
+        MarkdownRenderer.renderInline('[docs](https://x.org/a "Docs")'),
+        '<a href="https://x.org/a" title="Docs" target="_blank" rel="noopener noreferrer">docs</a>'
+    );
+    assert.strictEqual(
+        MarkdownRenderer.renderInline('[![Build](https://x.org/b.svg)](https://ci.x.org)'),
+        '<a href="https://ci.x.org" target="_blank" rel="noopener noreferrer">Build</a>'
+    );
+    assert.strictEqual(
+        MarkdownRenderer.renderInline('see https://x.org/a.'),
+        'see <a href="https://x.org/a" target="_blank" rel="noopener noreferrer">https://x.org/a</a>.'
+    );
+});
@@ -0,0 +1,54 @@
+"""Shared set-up for the tests: the app on an in-memory database, and helpers to add users and decks.
+Run from the repository root with: python -m unittest discover -s tests"""
+import os
+import sys
+import unittest
+
+os.environ.setdefault("DATABASE_URL", "sqlite://")
+os.environ.setdefault("SECRET_KEY", "test")
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+
+import main  # noqa: E402
+from werkzeug.security import generate_password_hash  # noqa: E402
+
+app = main.app
+app.config["TESTING"] = True
+
+
+class AppTestCase(unittest.TestCase):
+    """Each test gets fresh tables and an app context."""
+
+    def setUp(self):
+        self.context = app.app_context()
+        self.context.push()
+        main.db.create_all()
+
+    def tearDown(self):
+        main.db.session.remove()
+        main.db.drop_all()
+        self.context.pop()
+
+    def make_user(self, email, password="password"):
+        user = main.Login_Info(email=email, password=generate_password_hash(password))
+        main.db.session.add(user)
+        main.db.session.commit()
+        return user
+
+    def make_deck(self, user, title="Deck", share_token=None):
+        deck = main.Deck(title=title, user_id=user.id, share_token=share_token)
+        main.db.session.add(deck)
+        main.db.session.commit()
+        return deck
+
+    def sign_in(self, user):
+        """A test client signed in as the user, from a trusted device."""
+        token = main.generate_device_token()
+        main.db.session.add(main.Device(user_id=user.id, token_hash=main.hash_token(token), name="Test device"))
+        main.db.session.commit()
+
+        client = app.test_client()
+        client.set_cookie("device_token", token)
+        with client.session_transaction() as session:
+            session["_user_id"] = str(user.id)
+            session["_fresh"] = True
+        return client
@@ -0,0 +1,38 @@
+"""Admin user management: inviting users and changing roles read the "admin" field the same way."""
+import unittest
+
+from support import AppTestCase, main
+
+JSON = {"Accept": "application/json"}
+
+
+class AdminRoleTest(AppTestCase):
+    def setUp(self):
+        super().setUp()
+        self.admin = self.make_user("admin@example.com")
+        self.admin.is_admin = True
+        main.db.session.commit()
+        self.client = self.sign_in(self.admin)
+
+    def invite(self, email, **kwargs):
+        response = self.client.post("/admin/users", headers=JSON, **kwargs)
+        self.assertEqual(response.status_code, 201)
+        return main.Login_Info.query.filter_by(email=email).one().is_admin
+
+    def test_invite_grants_admin_only_when_asked(self):
+        self.assertTrue(self.invite("a@example.com", json={"email": "a@example.com", "admin": True}))
+        self.assertTrue(self.invite("b@example.com", data={"email": "b@example.com", "admin": "1"}))
+        self.assertFalse(self.invite("c@example.com", json={"email": "c@example.com", "admin": "false"}))
+        self.assertFalse(self.invite("d@example.com", json={"email": "d@example.com", "admin": "0"}))
+        self.assertFalse(self.invite("e@example.com", data={"email": "e@example.com"}))
+
+    def test_role_change_reads_the_same_values(self):
+        user = self.make_user("user@example.com")
+        for value, expected in ((True, True), ("false", False), ("1", True), ("0", False)):
+            response = self.client.post(f"/admin/users/{user.id}/role", headers=JSON, json={"admin": value})
+            self.assertEqual(response.status_code, 200)
+            self.assertEqual(main.Login_Info.query.get(user.id).is_admin, expected, value)
+
+
+if __name__ == "__main__":
+    unittest.main()
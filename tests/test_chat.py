@@ -0,0 +1,193 @@
+"""The AI chat, streamed end to end: OPENAI_BASE_URL points at a small local server that answers
+chat completions with server-sent events, the way the OpenAI API does."""
+import io
+import json
+import os
+import threading
+import unittest
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+
+from PIL import Image as PILImage
+
+from support import AppTestCase, app, main
+
+
+class FakeCompletions(BaseHTTPRequestHandler):
+    """POST /v1/chat/completions: records the request and streams back the server's chunks."""
+
+    def do_POST(self):
+        length = int(self.headers.get("Content-Length", 0))
+        self.server.requests.append(json.loads(self.rfile.read(length)))
+
+        if self.server.status != 200:
+            body = json.dumps({"error": {"message": "The model is overloaded.", "type": "server_error"}}).encode()
+            self.send_response(self.server.status)
+            self.send_header("Content-Type", "application/json")
+            self.send_header("Content-Length", str(len(body)))
+            self.end_headers()
+            self.wfile.write(body)
+            return
+
+        self.send_response(200)
+        self.send_header("Content-Type", "text/event-stream")
+        self.end_headers()
+        for text in self.server.chunks:
+            chunk = {
+                "id": "chatcmpl-test", "object": "chat.completion.chunk", "created": 0, "model": "test-model",
+                "choices": [{"index": 0, "delta": {"content": text}, "finish_reason": None}],
+            }
+            self.wfile.write(f"data: {json.dumps(chunk)}\n\n".encode())
+            self.wfile.flush()
+        self.wfile.write(b"data: [DONE]\n\n")
+
+    def log_message(self, format, *args):
+        pass
+
+
+def events(body):
+    """The server-sent events in a response body, as (event, data) pairs."""
+    parsed = []
+    for block in body.strip().split("\n\n"):
+        event, data = "message", None
+        for line in block.split("\n"):
+            if line.startswith("event: "):
+                event = line[len("event: "):]
+            elif line.startswith("data: "):
+                data = json.loads(line[len("data: "):])
+        parsed.append((event, data))
+    return parsed
+
+
+class AskTest(AppTestCase):
+    @classmethod
+    def setUpClass(cls):
+        cls.server = ThreadingHTTPServer(("127.0.0.1", 0), FakeCompletions)
+        cls.server.daemon_threads = True
+        threading.Thread(target=cls.server.serve_forever, daemon=True).start()
+
+    @classmethod
+    def tearDownClass(cls):
+        cls.server.shutdown()
+        cls.server.server_close()
+
+    def setUp(self):
+        super().setUp()
+        self.server.requests = []
+        self.server.chunks = ["Photo", "synthesis ", "makes sugar."]
+        self.server.status = 200
+
+        self.base_url = app.config["OPENAI_BASE_URL"]
+        app.config["OPENAI_BASE_URL"] = f"http://127.0.0.1:{self.server.server_port}/v1"
+        os.environ.setdefault("OPENAI_API_KEY", "test-key")
+
+        self.user = self.make_user("student@example.com")
+        self.client = self.sign_in(self.user)
+
+    def tearDown(self):
+        app.config["OPENAI_BASE_URL"] = self.base_url
+        super().tearDown()
+
+    def ask(self, **data):
+        response = self.client.post("/ask", json=data)
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(response.mimetype, "text/event-stream")
+        return events(response.get_data(as_text=True))
+
+    def test_answer_is_streamed_and_saved(self):
+        stream = self.ask(question="What does photosynthesis make?")
+        chat = main.Chat.query.one()
+
+        self.assertEqual(stream, [
+            ("start", {"chat_id": chat.id}),
+            ("message", {"delta": "Photo"}),
+            ("message", {"delta": "synthesis "}),
+            ("message", {"delta": "makes sugar."}),
+            ("done", {"chat_id": chat.id}),
+        ])
+        self.assertEqual(
+            [(message.role, message.content) for message in chat.messages],
+            [("user", "What does photosynthesis make?"), ("assistant", "Photosynthesis makes sugar.")],
+        )
+
+        sent = self.server.requests[0]
+        self.assertTrue(sent["stream"])
+        self.assertEqual(sent["model"], app.config["OPENAI_MODEL"])
+        self.assertEqual(sent["messages"], [{"role": "user", "content": "What does photosynthesis make?"}])
+
+    def test_follow_up_sends_the_earlier_turns(self):
+        self.ask(question="What does photosynthesis make?")
+        chat_id = main.Chat.query.one().id
+
+        self.server.chunks = ["Glucose."]
+        self.ask(question="Which sugar?", chat_id=chat_id)
+
+        self.assertEqual(self.server.requests[1]["messages"], [
+            {"role": "user", "content": "What does photosynthesis make?"},
+            {"role": "assistant", "content": "Photosynthesis makes sugar."},
+            {"role": "user", "content": "Which sugar?"},
+        ])
+        self.assertEqual(main.Chat.query.get(chat_id).messages[-1].content, "Glucose.")
+
+    def test_server_error_ends_the_stream_with_an_error(self):
+        self.server.status = 400
+        stream = self.ask(question="Anyone there?")
+
+        self.assertEqual(stream[0][0], "start")
+        self.assertEqual(stream[-1][0], "error")
+        self.assertIn("overloaded", stream[-1][1]["error"])
+        # Only the question was saved; there's no answer to keep
+        self.assertEqual([message.role for message in main.Chat.query.one().messages], ["user"])
+
+    def shared_slide(self):
+        owner = self.make_user("lecturer@example.com")
+        deck = self.make_deck(owner, share_token="token")
+        output = io.BytesIO()
+        PILImage.new("RGB", (40, 30), "white").save(output, format="PNG")
+        image = main.Image(filename="slide.png", data=output.getvalue(), mimetype="image/png",
+                           width=40, height=30, user_id=owner.id, deck_id=deck.id)
+        main.db.session.add(image)
+        main.db.session.commit()
+        return deck, image
+
+    def test_followers_can_ask_about_a_shared_slide(self):
+        deck, image = self.shared_slide()
+        with self.client.session_transaction() as session:
+            session["shares"] = {str(deck.id): "token"}
+
+        stream = self.ask(question="What is on this slide?", image_id=image.id)
+        self.assertEqual(stream[-1][0], "done")
+        chat = main.Chat.query.one()
+        self.assertEqual((chat.user_id, chat.image_id), (self.user.id, image.id))
+        self.assertEqual(self.server.requests[0]["model"], app.config["OPENAI_VISION_MODEL"])
+
+    def test_others_cannot_ask_about_someone_elses_slide(self):
+        _, image = self.shared_slide()
+        response = self.client.post("/ask", json={"question": "What is on this slide?", "image_id": image.id})
+        self.assertEqual(response.status_code, 403)
+        self.assertEqual(self.server.requests, [])
+
+    def test_follow_ups_stop_when_the_session_ends_or_the_slide_goes(self):
+        deck, image = self.shared_slide()
+        with self.client.session_transaction() as session:
+            session["shares"] = {str(deck.id): "token"}
+        self.ask(question="What is on this slide?", image_id=image.id)
+        chat_id = main.Chat.query.one().id
+
+        # The owner stops sharing: the follower's chat can't send the slide any more
+        deck.share_token = None
+        main.db.session.commit()
+        response = self.client.post("/ask", json={"question": "And now?", "chat_id": chat_id})
+        self.assertEqual(response.status_code, 403)
+
+        # Shared again, but the slide is gone
+        deck.share_token = "token"
+        image.deleted = True
+        main.db.session.commit()
+        response = self.client.post("/ask", json={"question": "Still there?", "chat_id": chat_id})
+        self.assertEqual(response.status_code, 404)
+
+        self.assertEqual(len(self.server.requests), 1)
+
+
+if __name__ == "__main__":
+    unittest.main()
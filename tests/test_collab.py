@@ -0,0 +1,155 @@
+"""Live sessions, run in-process: CollabHub members and the /collab handler talk to in-memory
+sockets instead of real WebSockets."""
+import json
+import unittest
+
+from flask_login import login_user
+
+from support import AppTestCase, app, main
+
+
+class MemorySocket:
+    """Stands in for a WebSocket: receive() hands out queued messages, then reports the connection closed."""
+
+    def __init__(self, *incoming):
+        self.incoming = [json.dumps(message) for message in incoming]
+        self.sent = []
+        self.closed = None
+
+    def receive(self):
+        if not self.incoming:
+            raise main.ConnectionClosed()
+        return self.incoming.pop(0)
+
+    def send(self, data):
+        self.sent.append(json.loads(data))
+
+    def close(self, reason=None, message=None):
+        self.closed = reason
+
+    def last(self, kind):
+        return next((message for message in reversed(self.sent) if message["type"] == kind), None)
+
+
+def join(hub, socket, user_id, name, leader, deck_id=1):
+    return hub.join(deck_id, user_id, name, leader, send=lambda message: socket.send(json.dumps(message)))
+
+
+class CollabHubTest(unittest.TestCase):
+    def setUp(self):
+        self.hub = main.CollabHub()
+        self.leader = MemorySocket()
+        self.follower = MemorySocket()
+        self.leader_id = join(self.hub, self.leader, 1, "ann", leader=True)
+        self.follower_id = join(self.hub, self.follower, 2, "bob", leader=False)
+
+    def test_join_welcomes_and_announces_presence(self):
+        welcome = self.follower.sent[0]
+        self.assertEqual(welcome["type"], "welcome")
+        self.assertEqual(welcome["you"]["id"], self.follower_id)
+        self.assertFalse(welcome["you"]["leader"])
+        self.assertEqual([member["name"] for member in welcome["members"]], ["ann", "bob"])
+        # Everyone gets a color of their own
+        self.assertNotEqual(welcome["members"][0]["color"], welcome["members"][1]["color"])
+
+        presence = self.leader.last("presence")
+        self.assertEqual([member["name"] for member in presence["members"]], ["ann", "bob"])
+
+    def test_only_the_leader_steers(self):
+        self.hub.receive(1, self.leader_id, {"type": "view", "page": 3, "zoom": 150})
+        self.assertEqual(self.follower.last("view"), {"type": "view", "page": 3, "zoom": 150})
+
+        self.hub.receive(1, self.follower_id, {"type": "view", "page": 1, "zoom": 100})
+        self.assertIsNone(self.leader.last("view"))
+        self.assertEqual(self.hub.rooms[1]["state"], {"page": 3, "zoom": 150})
+
+    def test_late_joiner_starts_where_the_leader_is(self):
+        self.hub.receive(1, self.leader_id, {"type": "view", "page": 4, "zoom": 200})
+        self.hub.receive(1, self.follower_id, {"type": "annotations", "imageId": 7, "strokes": [{"id": "b1"}]})
+        self.hub.receive(1, self.follower_id, {"type": "preview", "imageId": 7, "stroke": {"tool": "pen"}})
+
+        late = MemorySocket()
+        join(self.hub, late, 3, "cat", leader=False)
+        welcome = late.sent[0]
+        self.assertEqual(welcome["state"], {"page": 4, "zoom": 200})
+        self.assertEqual(welcome["layers"], [{"imageId": "7", "user_id": 2, "strokes": [{"id": "b1"}]}])
+        self.assertEqual(welcome["previews"], [{"imageId": "7", "stroke": {"tool": "pen"}, "source": self.follower_id}])
+
+    def test_annotations_are_relayed_to_everyone_else(self):
+        self.hub.receive(1, self.follower_id, {"type": "annotations", "imageId": 7, "strokes": [{"id": "b1"}]})
+        self.assertEqual(self.leader.last("annotations"), {
+            "type": "annotations", "imageId": "7", "strokes": [{"id": "b1"}], "user_id": 2, "leader": False,
+        })
+        self.assertIsNone(self.follower.last("annotations"))
+
+        # The leader's strokes are saved with the slide, so the hub doesn't keep a layer for them
+        self.hub.receive(1, self.leader_id, {"type": "annotations", "imageId": 7, "strokes": [{"id": "a1"}]})
+        self.assertTrue(self.follower.last("annotations")["leader"])
+        self.assertEqual(self.hub.rooms[1]["layers"], {"7": {2: [{"id": "b1"}]}})
+
+        # Clearing a layer forgets it
+        self.hub.receive(1, self.follower_id, {"type": "annotations", "imageId": 7, "strokes": []})
+        self.assertEqual(self.hub.rooms[1]["layers"], {"7": {}})
+
+    def test_malformed_annotations_are_dropped(self):
+        self.hub.receive(1, self.follower_id, {"type": "annotations", "imageId": 7, "strokes": "all of them"})
+        self.hub.receive(1, self.follower_id, ["not", "a", "message"])
+        self.assertIsNone(self.leader.last("annotations"))
+
+    def test_previews_are_relayed_and_cleared_when_the_member_leaves(self):
+        self.hub.receive(1, self.follower_id, {"type": "preview", "imageId": 7, "stroke": {"tool": "pen"}})
+        self.assertEqual(self.leader.last("preview"), {
+            "type": "preview", "imageId": "7", "stroke": {"tool": "pen"}, "source": self.follower_id,
+        })
+
+        self.hub.leave(1, self.follower_id)
+        self.assertEqual(self.leader.last("preview")["stroke"], None)
+        self.assertEqual([member["name"] for member in self.leader.last("presence")["members"]], ["ann"])
+
+    def test_end_tells_everyone_and_forgets_the_session(self):
+        self.hub.end(1)
+        self.assertEqual(self.leader.last("ended"), {"type": "ended"})
+        self.assertEqual(self.follower.last("ended"), {"type": "ended"})
+        self.assertNotIn(1, self.hub.rooms)
+
+
+class CollabRouteTest(AppTestCase):
+    def setUp(self):
+        super().setUp()
+        main.collab_hub = main.CollabHub()
+        self.owner = self.make_user("owner@example.com")
+        self.deck = self.make_deck(self.owner, share_token="token")
+        self.deck_id = self.deck.id
+        # flask-sock wraps the handler to build the socket from the request; call it with ours
+        self.handler = getattr(main.collab, "__wrapped__", main.collab)
+
+    def connect(self, user, socket):
+        with app.test_request_context(f"/collab/{self.deck_id}"):
+            login_user(user)
+            self.handler(socket, self.deck_id)
+
+    def test_leader_connection_relays_and_leaves(self):
+        watcher = MemorySocket()
+        join(main.collab_hub, watcher, 99, "watcher", leader=False, deck_id=self.deck_id)
+
+        socket = MemorySocket({"type": "view", "page": 2, "zoom": 125}, "not json")
+        self.connect(self.owner, socket)
+
+        self.assertEqual(socket.sent[0]["type"], "welcome")
+        self.assertTrue(socket.sent[0]["you"]["leader"])
+        self.assertEqual(watcher.last("view"), {"type": "view", "page": 2, "zoom": 125})
+        # The connection closed, so the owner is gone from the session again
+        self.assertEqual([member["name"] for member in watcher.last("presence")["members"]], ["watcher"])
+
+    def test_outsiders_are_turned_away(self):
+        stranger = self.make_user("stranger@example.com")
+        socket = MemorySocket({"type": "view", "page": 2, "zoom": 125})
+        self.connect(stranger, socket)
+
+        self.assertEqual(socket.closed, 1008)
+        self.assertEqual(socket.sent, [])
+        self.assertNotIn(self.deck_id, main.collab_hub.rooms)
+
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,74 @@
+"""Uploaded images are stored upright, without the EXIF or GPS details a phone camera adds."""
+import io
+import unittest
+
+from PIL import Image as PILImage
+from PIL import PngImagePlugin
+
+from support import main
+
+ORIENTATION = 0x0112
+GPS_INFO = 0x8825
+MAKE = 0x010F
+
+
+def encode(img, fmt, **options):
+    output = io.BytesIO()
+    img.save(output, format=fmt, **options)
+    return output.getvalue()
+
+
+def photo_exif(orientation=1):
+    exif = PILImage.Exif()
+    exif[MAKE] = "PhoneCam"
+    exif[ORIENTATION] = orientation
+    exif.get_ifd(GPS_INFO).update({1: "S", 2: (40.0, 21.0, 0.0)})
+    return exif
+
+
+class NormalizeImageTest(unittest.TestCase):
+    def test_clean_images_are_kept_byte_for_byte(self):
+        for fmt, mimetype in (("PNG", "image/png"), ("JPEG", "image/jpeg"), ("WEBP", "image/webp")):
+            raw = encode(PILImage.new("RGB", (40, 30), "red"), fmt)
+            _, data, stored_mimetype = main.normalize_image(raw)
+            self.assertEqual(data, raw, fmt)
+            self.assertEqual(stored_mimetype, mimetype)
+
+    def test_rotated_photo_is_turned_upright_and_stripped(self):
+        # Stored sideways with "rotate 90° clockwise to view" in its EXIF, as phones do
+        raw = encode(PILImage.new("RGB", (40, 30), "blue"), "JPEG", exif=photo_exif(orientation=6))
+        img, data, mimetype = main.normalize_image(raw)
+
+        stored = PILImage.open(io.BytesIO(data))
+        self.assertEqual(mimetype, "image/jpeg")
+        self.assertEqual(stored.size, (30, 40))
+        self.assertEqual(img.size, (30, 40))
+        self.assertEqual(len(stored.getexif()), 0)
+        self.assertNotIn("exif", stored.info)
+
+    def test_upright_photo_still_loses_its_gps_position(self):
+        for fmt in ("JPEG", "WEBP", "PNG"):
+            raw = encode(PILImage.new("RGB", (40, 30), "green"), fmt, exif=photo_exif())
+            _, data, _ = main.normalize_image(raw)
+
+            stored = PILImage.open(io.BytesIO(data))
+            self.assertEqual(stored.size, (40, 30), fmt)
+            self.assertEqual(len(stored.getexif()), 0, fmt)
+            self.assertNotIn(b"PhoneCam", data, fmt)
+
+    def test_png_text_is_dropped(self):
+        info = PngImagePlugin.PngInfo()
+        info.add_text("Author", "Someone")
+        raw = encode(PILImage.new("RGB", (40, 30), "white"), "PNG", pnginfo=info)
+        _, data, _ = main.normalize_image(raw)
+        self.assertNotIn(b"Someone", data)
+
+    def test_color_profile_is_kept(self):
+        icc = b"\0" * 128  # Pillow copies the bytes as they are; they only have to be there
+        raw = encode(PILImage.new("RGB", (40, 30), "white"), "JPEG", exif=photo_exif(), icc_profile=icc)
+        _, data, _ = main.normalize_image(raw)
+        self.assertEqual(PILImage.open(io.BytesIO(data)).info.get("icc_profile"), icc)
+
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,61 @@
+"""Search reads slides uploaded before OCR existed the first time it runs, and only the first time."""
+import io
+import unittest
+from unittest import mock
+
+from PIL import Image as PILImage
+
+from support import AppTestCase, main
+
+WORDS = [{"text": "Photosynthesis", "x": 2, "y": 3, "w": 30, "h": 8}]
+
+
+def png(size):
+    output = io.BytesIO()
+    PILImage.new("RGB", size, "white").save(output, format="PNG")
+    return output.getvalue()
+
+
+def read_words(img):
+    """OCR that finds a word on 40×30 slides and isn't available for any other."""
+    return list(WORDS) if img.size == (40, 30) else None
+
+
+class LazyOcrTest(AppTestCase):
+    def setUp(self):
+        super().setUp()
+        self.user = self.make_user("lecturer@example.com")
+        self.deck = self.make_deck(self.user)
+        self.client = self.sign_in(self.user)
+
+        self.readable = self.add_slide(png((40, 30)))
+        self.unreadable = self.add_slide(png((20, 20)))
+        self.broken = self.add_slide(b"not an image")
+
+    def add_slide(self, data):
+        image = main.Image(filename="slide.png", data=data, mimetype="image/png",
+                           user_id=self.user.id, deck_id=self.deck.id)
+        main.db.session.add(image)
+        main.db.session.commit()
+        return image
+
+    def search(self, query):
+        response = self.client.get("/search", query_string={"q": query, "deck": self.deck.id})
+        self.assertEqual(response.status_code, 200)
+        return response.get_json()["results"]
+
+    def test_slides_that_cannot_be_read_are_skipped_and_not_retried(self):
+        with mock.patch.object(main, "extract_words", side_effect=read_words) as extract:
+            results = self.search("photosynthesis")
+            self.assertEqual([result["image_id"] for result in results], [self.readable.id])
+            self.assertEqual(extract.call_count, 2)  # the broken slide never gets as far as OCR
+
+            self.assertEqual(self.search("photosynthesis"), results)
+            self.assertEqual(extract.call_count, 2)
+
+        for image in (self.unreadable, self.broken):
+            self.assertEqual((main.Image.query.get(image.id).ocr_words, image.ocr_text), ("[]", ""))
+
+
+if __name__ == "__main__":
+    unittest.main()
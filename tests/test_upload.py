@@ -0,0 +1,52 @@
+"""Uploading slides into a deck: each new slide gets its own position at the end."""
+import io
+import unittest
+
+from PIL import Image as PILImage
+
+from support import AppTestCase, main
+
+
+def png(color="red"):
+    output = io.BytesIO()
+    PILImage.new("RGB", (40, 30), color).save(output, format="PNG")
+    output.seek(0)
+    return output
+
+
+class UploadPositionTest(AppTestCase):
+    def setUp(self):
+        super().setUp()
+        self.user = self.make_user("lecturer@example.com")
+        self.deck_id = self.make_deck(self.user).id
+        self.client = self.sign_in(self.user)
+
+    def upload(self, name):
+        response = self.client.post(
+            "/upload",
+            data={"image": (png(), name), "deck_id": str(self.deck_id)},
+            headers={"Accept": "application/json"},
+        )
+        self.assertEqual(response.status_code, 201)
+        return main.Image.query.get(response.get_json()["id"])
+
+    def test_slides_are_appended_in_turn(self):
+        positions = [self.upload(f"slide-{number}.png").position for number in range(3)]
+        self.assertEqual(positions, [1, 2, 3])
+        self.assertEqual(main.Deck.query.get(self.deck_id).last_position, 3)
+
+    def test_deck_from_before_the_counter_continues_after_its_slides(self):
+        # Imported decks, and decks created before positions were counted, start with the counter at 0
+        for position in (1, 2, 5):
+            main.db.session.add(main.Image(
+                filename=f"old-{position}.png", data=b"", mimetype="image/png",
+                position=position, user_id=self.user.id, deck_id=self.deck_id,
+            ))
+        main.db.session.commit()
+
+        self.assertEqual(self.upload("new.png").position, 6)
+        self.assertEqual(self.upload("newer.png").position, 7)
+
+
+if __name__ == "__main__":
+    unittest.main()